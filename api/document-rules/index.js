@@ -0,0 +1,64 @@
+import { loadRuleDefinitions } from "../shared/rule-engine.js";
+import { getFormRules } from "../shared/program-profiles.js";
+/**
+ * document-rules (Azure Function)
+ * ===============================
+ * Serves the document types and program profiles the form is built from,
+ * read from the same rule definitions the validation endpoints use – the
+ * bundled rule file merged with the DOCUMENT_RULES_PATH override.  Without
+ * it the form would only ever see the bundled types and programs.
+ *
+ * Runtime
+ * -------
+ * • Node.js in an Azure Functions environment.
+ * • Trigger: HTTP(S) GET; see `function.json` for details.
+ *
+ * Response Schema (JSON)
+ * ---------------------
+ * {
+ *   documentTypes: { "<type>":    { label?, requiredFields? } },
+ *   programs:      { "<program>": { label?, requiredFields?, requiredDocumentTypes? } }
+ * }
+ *
+ * A malformed override file is reported as a 500 with its error message.
+ */
+
+/**
+ * Azure Functions HTTP trigger entry-point.
+ *
+ * @param {import('@azure/functions').Context} context  Function runtime context.
+ * @param {import('@azure/functions').HttpRequest} req  Incoming HTTP request.
+ * @returns {Promise<void>}                            Response is written via `context.res`.
+ */
+export default async (context, req) => {
+  // Enable CORS
+  context.res = {
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Content-Type': 'application/json'
+    }
+  };
+
+  // Handle preflight OPTIONS request
+  if (req.method === 'OPTIONS') {
+    context.res.status = 200;
+    return;
+  }
+
+  try {
+    context.res = {
+      ...context.res,
+      status: 200,
+      body: getFormRules(loadRuleDefinitions())
+    };
+  } catch (error) {
+    context.log.error("Error loading document rules:", error);
+    context.res = {
+      ...context.res,
+      status: 500,
+      body: { error: error.message || "Failed to load document rules" }
+    };
+  }
+};
@@ -0,0 +1,58 @@
+import { DocumentAnalysisClient, AzureKeyCredential } from "@azure/ai-form-recognizer";
+/**
+ * shared/analysis/azure-provider.js
+ * =================================
+ * Analysis provider backed by Azure AI Document Intelligence (Form
+ * Recognizer) using the generic `prebuilt-document` model.  This is the
+ * default provider and the only one that returns tables, handwriting
+ * styles and model-detected key/value pairs.
+ *
+ * Required Environment Variables
+ * ------------------------------
+ * • DI_ENDPOINT : Azure Form Recognizer endpoint (e.g. https://<name>.cognitiveservices.azure.com)
+ * • DI_KEY      : API key authorised for the above endpoint.
+ */
+
+/**
+ * Creates the Azure provider.
+ *
+ * @param {{endpoint?:string, key?:string}} options Credentials (normally from env vars).
+ * @returns {import('./index.js').AnalysisProvider}
+ */
+export function createAzureProvider({ endpoint, key }) {
+  return {
+    name: 'azure',
+
+    configurationError: endpoint && key ? null : "Missing Document Intelligence credentials",
+
+    async analyze(file) {
+      // Convert the file into a Buffer
+      const buffer = Buffer.from(file.data);
+      const contentType = file.type || "application/octet-stream";
+
+      // Create the Document Intelligence Client
+      const client = new DocumentAnalysisClient(endpoint, new AzureKeyCredential(key));
+
+      // Analyze the document - using prebuilt-document for more advanced structure analysis
+      const poller = await client.beginAnalyzeDocument("prebuilt-document", buffer, {
+        contentType,
+      });
+
+      // Wait until the operation completes
+      const result = await poller.pollUntilDone();
+
+      // Safely destructure with defaults
+      const {
+        content = "",
+        pages = [],
+        languages = [],
+        styles = [],
+        tables = [],
+        keyValuePairs = [],
+        entities = [],
+      } = result;
+
+      return { content, pages, languages, styles, tables, keyValuePairs, entities };
+    }
+  };
+}
@@ -0,0 +1,74 @@
+import { createAzureProvider } from "./azure-provider.js";
+import { createLocalProvider } from "./local-provider.js";
+/**
+ * shared/analysis/index.js
+ * ========================
+ * Selects the document-analysis provider (OCR / layout backend) used by the
+ * validation pipeline.  Every provider turns a decoded upload into the same
+ * result shape that Azure Form Recognizer returns, so the rule engine does
+ * not care where the text came from.
+ *
+ * Providers
+ * ---------
+ * • azure (default) – Azure AI Document Intelligence, see azure-provider.js.
+ * • local           – Offline extraction for TXT / DOCX / text-layer PDFs
+ *                     plus an optional local OCR engine for images, see
+ *                     local-provider.js.  Intended for air-gapped machines
+ *                     and CI.
+ *
+ * Environment Variables
+ * ---------------------
+ * • ANALYSIS_PROVIDER : "azure" | "local" (defaults to "azure").
+ * • DI_ENDPOINT / DI_KEY          : Azure credentials (azure provider).
+ * • LOCAL_OCR_ENGINE              : "tesseract" to OCR images locally.
+ * • TESSERACT_LANG_PATH           : Directory/URL holding eng.traineddata
+ *                                   (required for fully offline OCR).
+ */
+
+/**
+ * @typedef {Object} AnalysisResult
+ * @property {string} content        Full extracted text.
+ * @property {Array}  pages          Page objects ({ pageNumber, words, lines, spans, ... }).
+ * @property {Array}  languages      Language detection metadata.
+ * @property {Array}  styles         Style spans (handwriting detection).
+ * @property {Array}  tables         Detected tables.
+ * @property {Array}  keyValuePairs  Key/value pairs ({ key: {content}, value: {content} }).
+ * @property {Array}  entities       Named entities.
+ */
+
+/**
+ * @typedef {Object} AnalysisProvider
+ * @property {string}      name               Provider identifier reported in documentInfo.
+ * @property {string|null} configurationError Human-readable reason the provider cannot run, or null.
+ * @property {(file:{data:Buffer,type:string,name:string}) => Promise<AnalysisResult>} analyze
+ */
+
+/**
+ * Returns the provider selected by ANALYSIS_PROVIDER.
+ *
+ * @returns {AnalysisProvider}
+ */
+export function getAnalysisProvider() {
+  const providerName = (process.env.ANALYSIS_PROVIDER || 'azure').toLowerCase();
+
+  switch (providerName) {
+    case 'azure':
+      return createAzureProvider({
+        endpoint: process.env.DI_ENDPOINT,
+        key: process.env.DI_KEY
+      });
+    case 'local':
+      return createLocalProvider({
+        ocrEngine: process.env.LOCAL_OCR_ENGINE,
+        langPath: process.env.TESSERACT_LANG_PATH
+      });
+    default:
+      return {
+        name: providerName,
+        configurationError: `Unknown ANALYSIS_PROVIDER "${providerName}"`,
+        analyze: async () => {
+          throw new Error(`Unknown ANALYSIS_PROVIDER "${providerName}"`);
+        }
+      };
+  }
+}
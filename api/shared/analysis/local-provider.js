@@ -0,0 +1,263 @@
+/**
+ * shared/analysis/local-provider.js
+ * =================================
+ * Offline analysis provider.  Extracts text without any cloud service so
+ * the validator can run on air-gapped machines and in CI:
+ *
+ * • TXT             – decoded as UTF-8.
+ * • DOCX            – raw text via `mammoth`.
+ * • PDF (text layer)– text items via `pdfjs-dist`, one entry per page.
+ * • PNG / JPG       – only when a local OCR engine is enabled
+ *                     (LOCAL_OCR_ENGINE=tesseract, requires `tesseract.js`).
+ *
+ * Scanned PDFs (no text layer) and legacy .doc files are rejected with a
+ * descriptive error; use the Azure provider for those.
+ *
+ * The result mimics the Form Recognizer shape: pages carry `words` (with
+ * spans, and polygons in inches for PDFs), `lines` and a `spans` entry into
+ * `content`, and simple "Label: value" lines are surfaced as
+ * `keyValuePairs`.  Tables, styles (handwriting),
+ * languages and entities are not detected and are returned empty.
+ */
+
+const SUPPORTED_OCR_ENGINES = ['tesseract'];
+const POINTS_PER_INCH = 72;
+
+/**
+ * Lower-cased file extension without the dot ("" when absent).
+ *
+ * @param {string} fileName
+ * @returns {string}
+ */
+function getExtension(fileName) {
+  const match = /\.([^.]+)$/.exec(fileName || '');
+  return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * Surfaces "Label: value" lines as key/value pairs so that rules relying on
+ * Form Recognizer K/V pairs keep working offline.  The key keeps its colon
+ * (e.g. "Name:"), matching how Form Recognizer reports printed labels.
+ *
+ * @param {string} content
+ * @returns {Array<{key:{content:string}, value:{content:string}, confidence:number}>}
+ */
+function extractKeyValuePairs(content) {
+  const pairs = [];
+  for (const line of content.split('\n')) {
+    const match = /^\s*([A-Za-z][A-Za-z0-9 #\/'&().-]{1,40}:)\s*(\S.*)$/.exec(line);
+    if (match) {
+      pairs.push({
+        key: { content: match[1].trim() },
+        value: { content: match[2].trim() },
+        confidence: 1
+      });
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Builds a Form Recognizer-like analysis result from per-page text.  Words
+ * are located in the page text in reading order to get their spans; words
+ * supplied by the extractor keep their polygons.
+ *
+ * @param {Array<{text:string, width?:number, height?:number, unit?:string, words?:Array<{content:string, polygon:Array<{x:number, y:number}>}>}>} pageInputs
+ * @param {number} [confidence=1] Word confidence to report (OCR engines pass their own).
+ * @returns {import('./index.js').AnalysisResult}
+ */
+function buildAnalysisResult(pageInputs, confidence = 1) {
+  let content = '';
+  const pages = pageInputs.map(({ text, width, height, unit, words }, index) => {
+    const pageText = text.replace(/\r\n?/g, '\n').trim();
+    if (content) content += '\n';
+    const offset = content.length;
+    content += pageText;
+
+    let cursor = 0;
+    const pageWords = (words || pageText.split(/\s+/).filter(Boolean).map(word => ({ content: word })))
+      .map(word => {
+        const wordOffset = pageText.indexOf(word.content, cursor);
+        if (wordOffset === -1) return null;
+        cursor = wordOffset + word.content.length;
+        return {
+          ...word,
+          span: { offset: offset + wordOffset, length: word.content.length },
+          confidence
+        };
+      })
+      .filter(Boolean);
+
+    return {
+      pageNumber: index + 1,
+      ...(width && height ? { width, height, unit } : {}),
+      lines: pageText.split('\n').filter(line => line.trim()).map(line => ({ content: line.trim() })),
+      words: pageWords,
+      spans: [{ offset, length: pageText.length }]
+    };
+  });
+
+  return {
+    content,
+    pages,
+    languages: [],
+    styles: [],
+    tables: [],
+    keyValuePairs: extractKeyValuePairs(content),
+    entities: []
+  };
+}
+
+/**
+ * Splits a pdfjs text item into words with approximate polygons.  Glyph
+ * widths are not available, so each character is given an equal share of
+ * the item's width.  Coordinates are converted from PDF points (origin at
+ * the bottom-left) to inches from the top-left, matching Form Recognizer.
+ *
+ * @param {{str:string, transform:number[], width:number, height:number}} item
+ * @param {number} pageHeight Page height in points.
+ * @returns {Array<{content:string, polygon:Array<{x:number, y:number}>}>}
+ */
+function wordsOfTextItem(item, pageHeight) {
+  const [, , , , left, baseline] = item.transform;
+  const characterWidth = item.str.length > 0 ? item.width / item.str.length : 0;
+  const top = (pageHeight - baseline - item.height) / POINTS_PER_INCH;
+  const bottom = (pageHeight - baseline) / POINTS_PER_INCH;
+
+  return Array.from(item.str.matchAll(/\S+/g), match => {
+    const x0 = (left + match.index * characterWidth) / POINTS_PER_INCH;
+    const x1 = (left + (match.index + match[0].length) * characterWidth) / POINTS_PER_INCH;
+    return {
+      content: match[0],
+      polygon: [{ x: x0, y: top }, { x: x1, y: top }, { x: x1, y: bottom }, { x: x0, y: bottom }]
+    };
+  });
+}
+
+/**
+ * Extracts the text layer and word geometry of every PDF page.
+ *
+ * @param {Buffer} buffer
+ * @returns {Promise<Array<{text:string, width:number, height:number, unit:string, words:Array}>>}
+ */
+async function extractPdfPages(buffer) {
+  // pdfjs-dist v3 ships its Node build as CommonJS, exposed as the default export
+  const { default: { getDocument } } = await import("pdfjs-dist/legacy/build/pdf.js");
+  const pdf = await getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    disableFontFace: true,
+    verbosity: 0  // errors only; fonts are irrelevant for text extraction
+  }).promise;
+
+  try {
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const { width, height } = page.getViewport({ scale: 1 });
+      const { items } = await page.getTextContent();
+      pages.push({
+        text: items.map(item => item.str + (item.hasEOL ? '\n' : '')).join(''),
+        width: width / POINTS_PER_INCH,
+        height: height / POINTS_PER_INCH,
+        unit: 'inch',
+        words: items.flatMap(item => wordsOfTextItem(item, height))
+      });
+    }
+    return pages;
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+/**
+ * Extracts the raw text of a DOCX file.
+ *
+ * @param {Buffer} buffer
+ * @returns {Promise<string>}
+ */
+async function extractDocxText(buffer) {
+  const { default: mammoth } = await import("mammoth");
+  const { value } = await mammoth.extractRawText({ buffer });
+  return value;
+}
+
+/**
+ * Runs the Tesseract OCR engine on an image.  `tesseract.js` is an optional
+ * install so Azure-only deployments do not carry it.
+ *
+ * @param {Buffer} buffer
+ * @param {string|undefined} langPath Location of the trained language data.
+ * @returns {Promise<{text:string, confidence:number}>} Confidence in 0..1.
+ */
+async function recognizeWithTesseract(buffer, langPath) {
+  let tesseract;
+  try {
+    tesseract = await import("tesseract.js");
+  } catch (importError) {
+    throw new Error("Local OCR engine 'tesseract' is not installed. Run `npm install tesseract.js` in the api folder.");
+  }
+
+  const { createWorker } = tesseract.default || tesseract;
+  const worker = await createWorker('eng', undefined, langPath ? { langPath } : {});
+  try {
+    const { data } = await worker.recognize(buffer);
+    return { text: data.text || '', confidence: (data.confidence || 0) / 100 };
+  } finally {
+    await worker.terminate();
+  }
+}
+
+/**
+ * Creates the local provider.
+ *
+ * @param {{ocrEngine?:string, langPath?:string}} options
+ * @returns {import('./index.js').AnalysisProvider}
+ */
+export function createLocalProvider({ ocrEngine, langPath }) {
+  const engine = ocrEngine ? ocrEngine.toLowerCase() : null;
+
+  return {
+    name: 'local',
+
+    configurationError: engine && !SUPPORTED_OCR_ENGINES.includes(engine)
+      ? `Unknown LOCAL_OCR_ENGINE "${ocrEngine}"`
+      : null,
+
+    async analyze(file) {
+      const buffer = Buffer.from(file.data);
+      const type = (file.type || '').toLowerCase();
+      const extension = getExtension(file.name);
+
+      if (type === 'text/plain' || extension === 'txt') {
+        return buildAnalysisResult([{ text: buffer.toString('utf8') }]);
+      }
+
+      if (type === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' || extension === 'docx') {
+        return buildAnalysisResult([{ text: await extractDocxText(buffer) }]);
+      }
+
+      if (type === 'application/msword' || extension === 'doc') {
+        throw new Error("Legacy .doc files are not supported by the local analysis provider. Convert the file to DOCX or PDF.");
+      }
+
+      if (type === 'application/pdf' || extension === 'pdf') {
+        const pdfPages = await extractPdfPages(buffer);
+        if (!pdfPages.some(page => page.text.trim())) {
+          throw new Error("This PDF has no text layer (it is probably scanned). Use the Azure analysis provider for scanned PDFs.");
+        }
+        return buildAnalysisResult(pdfPages);
+      }
+
+      if (type.startsWith('image/') || ['png', 'jpg', 'jpeg'].includes(extension)) {
+        if (!engine) {
+          throw new Error("Images require a local OCR engine. Set LOCAL_OCR_ENGINE=tesseract to enable one.");
+        }
+        const { text, confidence } = await recognizeWithTesseract(buffer, langPath);
+        return buildAnalysisResult([{ text }], confidence);
+      }
+
+      throw new Error(`Unsupported file type for the local analysis provider: ${file.type || file.name}`);
+    }
+  };
+}
@@ -0,0 +1,96 @@
+import { findBusinessEntityId } from "./identifiers.js";
+import { organizationNamesMatch } from "./organization-names.js";
+/**
+ * shared/business-registry.js
+ * ===========================
+ * Confirms that the entity a formation or incorporation filing is about
+ * exists in the state business registry and is active, for document types
+ * with a `registryLookup` entry in the rule file:
+ *   "registryLookup": { "registry": "<registry>" }
+ *
+ * The query is the business entity ID printed on the filing (see
+ * identifiers.js) and the organization name the rules extracted.  The
+ * configured provider (see registry/index.js) returns matching entities;
+ * the one with that ID – or else with a matching name – is judged.
+ *
+ * The result feeds the `registry` rule check:
+ *   { provider, registry, query: { entityId, name }, status, reason, entity }
+ * status is "active", "inactive" (registered but not in good standing),
+ * "not-found", "mismatch" (the ID is registered to another name) or
+ * "unavailable" (no provider configured, nothing to look up, or the lookup
+ * failed).
+ */
+
+// A lookup that takes longer than this is reported as unavailable
+const LOOKUP_TIMEOUT_MS = 10000;
+
+/**
+ * Builds the registry query from the document.
+ *
+ * @param {string} content                  OCR-extracted text.
+ * @param {Array}  keyValuePairs            K/V pairs extracted by FR.
+ * @param {string|null} organizationName    Name extracted by the rules' nameExtraction.
+ * @returns {{entityId:string|null, name:string|null}}
+ */
+export function buildRegistryQuery(content, keyValuePairs, organizationName) {
+  return {
+    entityId: findBusinessEntityId(content, keyValuePairs),
+    name: organizationName || null
+  };
+}
+
+/**
+ * Looks an entity up in the business registry.  Never rejects: a provider
+ * that is missing, misconfigured or unreachable yields status
+ * "unavailable" so validation carries on without the lookup.
+ *
+ * @param {import("./registry/index.js").RegistryProvider|null} provider
+ * @param {string} registry From the document type's `registryLookup` entry.
+ * @param {{entityId:string|null, name:string|null}} query
+ * @returns {Promise<{provider:string|null, registry:string, query:Object, status:string, reason:string|null, entity:Object|null}>}
+ */
+export async function lookupEntity(provider, registry, query) {
+  const outcome = (status, reason, entity = null) => ({
+    provider: provider ? provider.name : null,
+    registry,
+    query,
+    status,
+    reason,
+    entity
+  });
+
+  if (!provider) return outcome('unavailable', 'Business registry lookup is not configured');
+  if (provider.configurationError) return outcome('unavailable', provider.configurationError);
+  if (!query.entityId && !query.name) return outcome('unavailable', 'No entity name or business ID was found on the document');
+
+  let timer;
+  let entities;
+  try {
+    entities = await Promise.race([
+      provider.search({ registry, ...query }),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error('The business registry lookup timed out')), LOOKUP_TIMEOUT_MS);
+      })
+    ]);
+  } catch (error) {
+    return outcome('unavailable', error.message);
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const byId = query.entityId ? entities.find(entity => entity.entityId === query.entityId) : null;
+  const entity = byId || (query.name ? entities.find(candidate => organizationNamesMatch(query.name, candidate.name)) : null);
+
+  if (!entity) {
+    const subject = query.entityId ? `entity with business ID ${query.entityId}` : `entity named "${query.name}"`;
+    return outcome('not-found', `No ${subject} is registered`);
+  }
+  if (byId && query.name && !organizationNamesMatch(query.name, byId.name)) {
+    return outcome('mismatch', `Business ID ${query.entityId} is registered to ${byId.name}`, byId);
+  }
+  if (String(entity.status).toLowerCase() !== 'active') {
+    return outcome('inactive', `${entity.name} is ${entity.status} in the business registry`, entity);
+  }
+
+  return outcome('active', null, entity);
+}
@@ -0,0 +1,126 @@
+import { findApplicantId, findSerialNumber } from "./identifiers.js";
+import { extractDateMentions, resolveIssueDate } from "./dates.js";
+import { compareFeins } from "./fein.js";
+/**
+ * shared/certificates.js
+ * ======================
+ * Structured fields of issued certificates and their confirmation with the
+ * issuing authority, for document types with a `verification` entry in the
+ * rule file:
+ *   "verification": { "authority": "<authority>" }
+ *
+ * • extractCertificateFields – serial number, Applicant ID and issue date
+ *   as printed on the certificate.
+ * • verifyCertificate        – looks the serial number up with the
+ *   configured verifier (see verification/index.js) and compares the
+ *   authority's record with the printed fields.
+ *
+ * The verification result feeds the `verification` rule check:
+ *   { verifier, authority, serialNumber, status, reason, mismatches, record }
+ * status is "verified", "not-found", "revoked", "mismatch" (the record
+ * disagrees with the certificate on a field) or "unavailable" (no verifier
+ * configured, no serial number printed, or the lookup failed).
+ */
+
+// A lookup that takes longer than this is reported as unavailable
+const LOOKUP_TIMEOUT_MS = 10000;
+
+const FIELD_LABELS = {
+  applicantId: 'Applicant ID',
+  issueDate: 'issue date'
+};
+
+/**
+ * Reads the identifying fields printed on a certificate.
+ *
+ * @param {string} content       OCR-extracted text.
+ * @param {Array}  keyValuePairs K/V pairs extracted by FR.
+ * @returns {{serialNumber:string|null, applicantId:string|null, issueDate:string|null}}
+ *   issueDate as YYYY-MM-DD (see dates.js).
+ */
+export function extractCertificateFields(content, keyValuePairs = []) {
+  const issueDate = resolveIssueDate(extractDateMentions(content, keyValuePairs));
+  return {
+    serialNumber: findSerialNumber(content, keyValuePairs),
+    applicantId: findApplicantId(content, keyValuePairs),
+    issueDate: issueDate ? issueDate.date : null
+  };
+}
+
+/**
+ * Fields on which the authority's record disagrees with the certificate.
+ * A field missing on either side is not compared.
+ *
+ * @param {Object} record From the verifier.
+ * @param {{applicantId:string|null, issueDate:string|null}} fields As printed.
+ * @returns {Array<{field:string, document:string, record:string}>}
+ */
+function findMismatches(record, fields) {
+  const mismatches = [];
+  if (record.applicantId && fields.applicantId &&
+      compareFeins(record.applicantId, fields.applicantId).matchType === 'none') {
+    mismatches.push({ field: 'applicantId', document: fields.applicantId, record: record.applicantId });
+  }
+  if (record.issueDate && fields.issueDate && record.issueDate !== fields.issueDate) {
+    mismatches.push({ field: 'issueDate', document: fields.issueDate, record: record.issueDate });
+  }
+  return mismatches;
+}
+
+/**
+ * Confirms a certificate with its issuing authority.  Never rejects: a
+ * verifier that is missing, misconfigured or unreachable yields status
+ * "unavailable" so validation carries on without the confirmation.
+ *
+ * @param {import("./verification/index.js").CertificateVerifier|null} verifier
+ * @param {string} authority From the document type's `verification` entry.
+ * @param {{serialNumber:string|null, applicantId:string|null, issueDate:string|null}} fields
+ * @returns {Promise<{verifier:string|null, authority:string, serialNumber:string|null, status:string, reason:string|null, mismatches:Object[], record:Object|null}>}
+ */
+export async function verifyCertificate(verifier, authority, fields) {
+  const outcome = (status, reason, extra = {}) => ({
+    verifier: verifier ? verifier.name : null,
+    authority,
+    serialNumber: fields.serialNumber,
+    status,
+    reason,
+    mismatches: [],
+    record: null,
+    ...extra
+  });
+
+  if (!verifier) return outcome('unavailable', 'Certificate verification is not configured');
+  if (verifier.configurationError) return outcome('unavailable', verifier.configurationError);
+  if (!fields.serialNumber) return outcome('unavailable', 'No serial number was found on the certificate');
+
+  let timer;
+  let record;
+  try {
+    record = await Promise.race([
+      verifier.lookup({ authority, serialNumber: fields.serialNumber }),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error('The certificate lookup timed out')), LOOKUP_TIMEOUT_MS);
+      })
+    ]);
+  } catch (error) {
+    return outcome('unavailable', error.message);
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (!record) {
+    return outcome('not-found', `No certificate with serial number ${fields.serialNumber} was issued`);
+  }
+  if (record.status === 'revoked') {
+    return outcome('revoked', `Certificate ${fields.serialNumber} has been revoked by the issuing authority`, { record });
+  }
+
+  const mismatches = findMismatches(record, fields);
+  if (mismatches.length > 0) {
+    const labels = mismatches.map(mismatch => FIELD_LABELS[mismatch.field]).join(' and ');
+    const verb = mismatches.length > 1 ? 'do' : 'does';
+    return outcome('mismatch', `The ${labels} on the certificate ${verb} not match the issuing authority's record`, { mismatches, record });
+  }
+
+  return outcome('verified', null, { record });
+}
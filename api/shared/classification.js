@@ -0,0 +1,174 @@
+import { loadRuleDefinitions, findMatch } from "./rule-engine.js";
+/**
+ * shared/classification.js
+ * ========================
+ * Guesses which supported document type an upload is, so that a wrong
+ * pick in the document-type selector can be flagged and callers may send
+ * `documentType: "auto"`.
+ *
+ * Every document type in the rule file is scored on its `classification`
+ * signals – the markers its own checks look for ("BATC - Manual",
+ * "Serial#", certificate titles ...), plus a few extra phrases where a
+ * check alone does not tell types apart:
+ *
+ *   classification: [
+ *     { check: "<checkId>", weight: number },              (the check's matchers)
+ *     { phrases | exactPhrases | patterns, weight: number } (inline matchers)
+ *   ]
+ *
+ * A type without a `classification` list uses its phrase checks, weight 1
+ * each.  The score (0..1) is the matched share of the total weight; ties go
+ * to the type with more matched weight, then to rule-file order.
+ */
+
+export const AUTO_DOCUMENT_TYPE = 'auto';
+
+// A best guess below this score is treated as "unrecognised"
+const MIN_CLASSIFICATION_SCORE = 0.5;
+
+// The selected type must trail the best guess by this much to be flagged
+const MISMATCH_MARGIN = 0.25;
+
+// Number of runner-up candidates returned with the result
+const MAX_CANDIDATES = 3;
+
+/**
+ * Returns a document type's weighted signals as matchers.
+ *
+ * @param {{checks:Object[], classification?:Object[]}} definition
+ * @returns {Array<{matcher:Object, weight:number}>}
+ */
+function signalsOf(definition) {
+  if (!definition.classification) {
+    return definition.checks
+      .filter(check => check.type === 'phrase')
+      .map(check => ({ matcher: check, weight: 1 }));
+  }
+
+  return definition.classification.map(signal => ({
+    matcher: signal.check !== undefined
+      ? definition.checks.find(check => check.id === signal.check)
+      : signal,
+    weight: signal.weight
+  }));
+}
+
+/**
+ * Scores one document type against the document text.
+ *
+ * @param {Object} definition
+ * @param {string} content
+ * @param {string} contentLower
+ * @returns {{score:number, matchedWeight:number}}
+ */
+function scoreDocumentType(definition, content, contentLower) {
+  const signals = signalsOf(definition);
+  const totalWeight = signals.reduce((sum, signal) => sum + signal.weight, 0);
+  const matchedWeight = signals
+    .filter(signal => findMatch(signal.matcher, content, contentLower))
+    .reduce((sum, signal) => sum + signal.weight, 0);
+
+  return {
+    score: totalWeight > 0 ? Math.round((matchedWeight / totalWeight) * 100) / 100 : 0,
+    matchedWeight
+  };
+}
+
+/**
+ * Classifies a document against every type in the rule file(s).
+ *
+ * @param {{content:string, contentLower:string}} document
+ * @param {string} selectedDocumentType The type the user picked, or "auto".
+ * @returns {{selectedDocumentType:string, documentType:string|null, label:string|null, score:number,
+ *            selectedScore:number|null, matchesSelection:boolean,
+ *            candidates:Array<{documentType:string, label:string, score:number}>}}
+ *   `documentType` is the best guess (null when nothing scores at least
+ *   MIN_CLASSIFICATION_SCORE).  `matchesSelection` is false only when a
+ *   type was selected and the best guess clearly outscores it.
+ */
+export function classifyDocument({ content, contentLower }, selectedDocumentType) {
+  const { documentTypes } = loadRuleDefinitions();
+
+  const ranked = Object.entries(documentTypes)
+    .map(([documentType, definition], order) => ({
+      documentType,
+      label: definition.label || documentType,
+      order,
+      ...scoreDocumentType(definition, content, contentLower)
+    }))
+    .sort((a, b) => b.score - a.score || b.matchedWeight - a.matchedWeight || a.order - b.order);
+
+  const best = ranked[0] && ranked[0].score >= MIN_CLASSIFICATION_SCORE ? ranked[0] : null;
+  const selected = ranked.find(entry => entry.documentType === selectedDocumentType) || null;
+
+  return {
+    selectedDocumentType,
+    documentType: best ? best.documentType : null,
+    label: best ? best.label : null,
+    score: ranked[0] ? ranked[0].score : 0,
+    selectedScore: selected ? selected.score : null,
+    matchesSelection: !best || !selected || best === selected || best.score - selected.score < MISMATCH_MARGIN,
+    candidates: ranked
+      .filter(entry => entry.score > 0)
+      .slice(0, MAX_CANDIDATES)
+      .map(({ documentType, label, score }) => ({ documentType, label, score }))
+  };
+}
+
+/**
+ * Turns a classification into a finding for the response:
+ * • "auto"     – `document-type-detected` (error severity); fails when no
+ *                type could be recognised, and carries the score as its
+ *                confidence so a weak guess sends the document to review.
+ * • otherwise  – `document-type-match` (warning severity); fails when the
+ *                document looks like a different type than the one selected.
+ *
+ * @param {ReturnType<typeof classifyDocument>} classification
+ * @returns {Object} A finding in the rule engine's shape.
+ */
+export function buildClassificationFinding(classification) {
+  const { selectedDocumentType, documentType, label, score, selectedScore, matchesSelection } = classification;
+  const details = { detectedDocumentType: documentType, score, selectedScore };
+
+  if (selectedDocumentType === AUTO_DOCUMENT_TYPE) {
+    return documentType
+      ? {
+          code: 'document-type-detected',
+          checkType: 'classification',
+          severity: 'error',
+          status: 'pass',
+          description: `Detected as ${label}`,
+          message: "The document type could not be determined",
+          evidence: null,
+          details,
+          confidence: score
+        }
+      : {
+          code: 'document-type-detected',
+          checkType: 'classification',
+          severity: 'error',
+          status: 'fail',
+          description: "Document type recognised",
+          message: "The document type could not be determined",
+          suggestedAction: "Select the document type manually and try again",
+          evidence: null,
+          details,
+          confidence: 1
+        };
+  }
+
+  return {
+    code: 'document-type-match',
+    checkType: 'classification',
+    severity: 'warning',
+    status: matchesSelection ? 'pass' : 'fail',
+    description: "Document matches the selected type",
+    message: matchesSelection
+      ? "Document does not match the selected type"
+      : `This document looks like a ${label}, not the selected type`,
+    ...(matchesSelection ? {} : { suggestedAction: `Check the selected document type – try "${label}"` }),
+    evidence: null,
+    details,
+    confidence: matchesSelection ? 1 : score
+  };
+}
@@ -0,0 +1,144 @@
+/**
+ * shared/confidence.js
+ * ====================
+ * Confidence scoring for findings and the overall verdict.
+ *
+ * A finding's confidence (0..1) is the lower of:
+ * • OCR confidence  – mean confidence of the words behind the evidence, or
+ *                     of the whole document when the check was decided by
+ *                     the *absence* of text (a misread phrase looks missing).
+ *                     Handwritten text is discounted further.
+ * • certainty       – how clear-cut the decision itself was (e.g. a fuzzy
+ *                     name match on a partial name is borderline).
+ *
+ * Verdicts
+ * --------
+ * • pass         – every error-severity check passed with confidence.
+ * • fail         – at least one error-severity check failed with confidence.
+ * • needs-review – the outcome hinges on low-confidence findings; a
+ *                  reviewer should look at the document.
+ *
+ * Environment Variables
+ * ---------------------
+ * • REVIEW_CONFIDENCE_THRESHOLD : findings below this confidence are
+ *                                 treated as uncertain (default 0.8).
+ */
+
+const DEFAULT_REVIEW_THRESHOLD = 0.8;
+
+// Factor applied to OCR confidence when the evidence is handwritten
+const HANDWRITING_DISCOUNT = 0.85;
+
+/**
+ * Rounds a score to two decimals for the response.
+ *
+ * @param {number} value
+ * @returns {number}
+ */
+function roundScore(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * True when two spans overlap.
+ *
+ * @param {{offset:number, length:number}} a
+ * @param {{offset:number, length:number}} b
+ * @returns {boolean}
+ */
+function spansOverlap(a, b) {
+  return a.offset < b.offset + b.length && b.offset < a.offset + a.length;
+}
+
+/**
+ * Mean confidence of the given words; 1 when none carry a confidence (e.g.
+ * a PDF text layer, which involves no recognition).
+ *
+ * @param {Array<{confidence?:number}>} words
+ * @returns {number}
+ */
+function meanWordConfidence(words) {
+  const scores = words.map(word => word.confidence).filter(score => typeof score === 'number');
+  if (scores.length === 0) return 1;
+  return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+}
+
+/**
+ * Returns the review threshold from REVIEW_CONFIDENCE_THRESHOLD, falling
+ * back to the default for missing or out-of-range values.
+ *
+ * @returns {number}
+ */
+export function getReviewThreshold() {
+  const configured = parseFloat(process.env.REVIEW_CONFIDENCE_THRESHOLD);
+  return configured > 0 && configured <= 1 ? configured : DEFAULT_REVIEW_THRESHOLD;
+}
+
+/**
+ * OCR confidence of a content span: mean confidence of the overlapping
+ * words, discounted when a handwritten style covers the span.
+ *
+ * @param {{pages:Array, styles:Array}} analysis
+ * @param {{offset:number, length:number}} span
+ * @returns {number}
+ */
+export function spanConfidence({ pages, styles }, span) {
+  const words = pages
+    .flatMap(page => page.words || [])
+    .filter(word => word.span && spansOverlap(word.span, span));
+  const handwritten = styles.some(style =>
+    style.isHandwritten && (style.spans || []).some(styleSpan => spansOverlap(styleSpan, span))
+  );
+  return meanWordConfidence(words) * (handwritten ? HANDWRITING_DISCOUNT : 1);
+}
+
+/**
+ * OCR confidence of the whole document, discounted when it contains
+ * handwriting.
+ *
+ * @param {{pages:Array, styles:Array}} analysis
+ * @returns {number}
+ */
+export function documentConfidence({ pages, styles }) {
+  const handwritten = styles.some(style => style.isHandwritten);
+  return meanWordConfidence(pages.flatMap(page => page.words || [])) * (handwritten ? HANDWRITING_DISCOUNT : 1);
+}
+
+/**
+ * Confidence of one finding.  Skipped findings carry no confidence.
+ *
+ * @param {{status:string, evidence:Object|null}} finding
+ * @param {number} certainty How clear-cut the decision was (0..1).
+ * @param {{pages:Array, styles:Array}} analysis
+ * @returns {number|null}
+ */
+export function scoreFinding(finding, certainty, analysis) {
+  if (finding.status === 'skipped') return null;
+
+  const ocrConfidence = finding.evidence && finding.evidence.span
+    ? spanConfidence(analysis, finding.evidence.span)
+    : documentConfidence(analysis);
+  return roundScore(Math.min(ocrConfidence, certainty));
+}
+
+/**
+ * Derives the overall verdict from the error-severity findings.  A
+ * confident failure fails the document; otherwise any low-confidence
+ * finding that decided the outcome sends it to review.
+ *
+ * @param {Array<{severity:string, status:string, confidence:number|null}>} findings
+ * @param {number} [threshold] Defaults to `getReviewThreshold()`.
+ * @returns {{verdict:'pass'|'fail'|'needs-review', confidence:number}}
+ */
+export function determineVerdict(findings, threshold = getReviewThreshold()) {
+  const decisive = findings.filter(finding => finding.severity === 'error' && finding.status !== 'skipped');
+  const failed = decisive.filter(finding => finding.status === 'fail');
+
+  if (failed.length > 0) {
+    const strongest = Math.max(...failed.map(finding => finding.confidence));
+    return { verdict: strongest >= threshold ? 'fail' : 'needs-review', confidence: strongest };
+  }
+
+  const weakest = decisive.length > 0 ? Math.min(...decisive.map(finding => finding.confidence)) : 1;
+  return { verdict: weakest >= threshold ? 'pass' : 'needs-review', confidence: weakest };
+}
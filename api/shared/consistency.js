@@ -0,0 +1,155 @@
+import { organizationNamesMatch } from "./organization-names.js";
+import { compareFeins } from "./fein.js";
+/**
+ * shared/consistency.js
+ * =====================
+ * Cross-document consistency engine for application packets.  Individual
+ * validators only compare a document against the typed-in form fields;
+ * this module compares the documents *against each other* so that, for
+ * example, a Certificate of Formation naming a different entity than the
+ * Tax Clearance is flagged even when the user left the name field blank.
+ *
+ * Checks performed
+ * ----------------
+ * • organization-name : every document must name the same entity (via
+ *                       `organizationNamesMatch`).  Two documents agree
+ *                       when any of their likely name candidates match,
+ *                       so a misranked address line does not split them.
+ * • identifier        : FEIN / EIN / Applicant IDs must agree on the digits
+ *                       that are visible on every document (shared/fein.js).
+ * • date              : no document may be issued before the entity's
+ *                       formation date – the date a formation certificate
+ *                       labels as filed, else its issue date (dates.js).
+ */
+
+// Name candidates below this confidence (address / "ATTN" lines) are not
+// compared across documents
+const MIN_NAME_CANDIDATE_CONFIDENCE = 0.5;
+
+// Document types whose filing date is the entity's formation date.
+const FORMATION_DOCUMENT_TYPES = ['cert-formation', 'cert-formation-independent', 'cert-incorporation'];
+
+/**
+ * Two identifiers agree unless a digit visible on both differs (see
+ * `compareFeins`; masked positions are ignored).
+ *
+ * @param {string} id1
+ * @param {string} id2
+ * @returns {boolean}
+ */
+function identifiersAgree(id1, id2) {
+  return compareFeins(id1, id2).matchType !== 'none';
+}
+
+/**
+ * Groups values into clusters of mutually matching entries.  Each entry is
+ * compared with the first member of every existing cluster.
+ *
+ * @template T
+ * @param {T[]} entries
+ * @param {(a:T, b:T) => boolean} matches
+ * @returns {T[][]}
+ */
+function clusterEntries(entries, matches) {
+  const clusters = [];
+  for (const entry of entries) {
+    const cluster = clusters.find(candidate => matches(candidate[0], entry));
+    if (cluster) {
+      cluster.push(entry);
+    } else {
+      clusters.push([entry]);
+    }
+  }
+  return clusters;
+}
+
+/**
+ * Compares the facts detected on every document of a packet.
+ *
+ * @param {Array<{fileName:string, documentType:string, documentInfo?:{detectedOrganizationName?:string|null, organizationNameCandidates?:Array<{name:string, confidence:number}>, detectedIdentifiers?:string[], dateMentions?:Array<{date:string, role:string|null}>, issueDate?:{date:string}|null}}>} documents
+ *        Per-document results as returned by `validateDocumentFile`.
+ *        Documents without `documentInfo` (analysis errors) are skipped.
+ * @returns {{consistent:boolean, issues:Array<{check:string, message:string, documents:Array<{fileName:string, documentType:string, value:string}>}>}}
+ */
+export function checkPacketConsistency(documents) {
+  const analysed = documents.filter(document => document.documentInfo);
+  const issues = [];
+
+  // 1. Organization names
+  const names = analysed
+    .filter(document => document.documentInfo.detectedOrganizationName)
+    .map(document => ({
+      fileName: document.fileName,
+      documentType: document.documentType,
+      value: document.documentInfo.detectedOrganizationName,
+      candidates: [
+        document.documentInfo.detectedOrganizationName,
+        ...(document.documentInfo.organizationNameCandidates || [])
+          .filter(candidate => candidate.confidence >= MIN_NAME_CANDIDATE_CONFIDENCE)
+          .map(candidate => candidate.name)
+      ]
+    }));
+  const nameClusters = clusterEntries(names, (a, b) =>
+    a.candidates.some(name1 => b.candidates.some(name2 => organizationNamesMatch(name1, name2)))
+  );
+  if (nameClusters.length > 1) {
+    issues.push({
+      check: 'organization-name',
+      message: "Organization names differ across documents",
+      documents: names.map(({ fileName, documentType, value }) => ({ fileName, documentType, value }))
+    });
+  }
+
+  // 2. FEIN / Applicant IDs
+  const identifiers = analysed.flatMap(document =>
+    (document.documentInfo.detectedIdentifiers || []).map(value => ({
+      fileName: document.fileName,
+      documentType: document.documentType,
+      value
+    }))
+  );
+  const identifierClusters = clusterEntries(identifiers, (a, b) => identifiersAgree(a.value, b.value));
+  if (identifierClusters.length > 1) {
+    issues.push({
+      check: 'identifier',
+      message: "FEIN / Applicant ID numbers differ across documents",
+      documents: identifiers
+    });
+  }
+
+  // 3. Dates: nothing should be issued before the entity was formed.  The
+  // formation date is the certificate's filing date, not any date printed on it.
+  const formationDates = analysed
+    .filter(document => FORMATION_DOCUMENT_TYPES.includes(document.documentType))
+    .map(document => {
+      const filed = (document.documentInfo.dateMentions || []).find(mention => mention.role === 'filed');
+      return filed ? filed.date : document.documentInfo.issueDate?.date;
+    })
+    .filter(Boolean)
+    .sort();
+  const formationDate = formationDates[0];
+
+  if (formationDate) {
+    const predated = analysed
+      .filter(document => !FORMATION_DOCUMENT_TYPES.includes(document.documentType))
+      .map(document => ({
+        fileName: document.fileName,
+        documentType: document.documentType,
+        value: document.documentInfo.issueDate?.date || null
+      }))
+      .filter(entry => entry.value && entry.value < formationDate);
+
+    if (predated.length > 0) {
+      issues.push({
+        check: 'date',
+        message: `Documents are dated before the entity's formation date (${formationDate})`,
+        documents: predated
+      });
+    }
+  }
+
+  return {
+    consistent: issues.length === 0,
+    issues
+  };
+}
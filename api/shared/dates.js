@@ -0,0 +1,300 @@
+/**
+ * shared/dates.js
+ * ===============
+ * Date detection helpers used by the rule engine (freshness windows,
+ * date presence), the response's document age and the packet consistency
+ * checks.
+ *
+ * Dates are labelled by role (issued, filed, effective, expires, signed,
+ * adopted) from nearby keywords so that freshness is judged on the issue
+ * date rather than on whatever recent date the document happens to
+ * mention.
+ */
+
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+// Keywords that label a date's role, matched in the text just before it.
+// When several appear, the one closest to the date wins.
+const ROLE_PATTERNS = {
+  issued: /\b(?:issued?|issuance|dated|printed|generated|date of certificate|certificate date)\b/g,
+  filed: /\b(?:filed|filing|received|recorded)\b/g,
+  effective: /\b(?:effective|commenc(?:es|ed|ement))\b/g,
+  expires: /\b(?:expir(?:es|ed|y|ation)|valid\s+(?:through|thru|until)|good\s+through)\b/g,
+  signed: /\b(?:signed|signature|executed|witness\s+whereof|subscribed|sworn)\b/g,
+  adopted: /\b(?:adopted|adoption|amended|amendments?|restated|ratified)\b/g
+};
+
+export const DATE_ROLES = Object.keys(ROLE_PATTERNS);
+
+// Certainty of an issue date found by position rather than by a label
+const UNLABELED_ISSUE_DATE_CERTAINTY = 0.85;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Lightweight date existence check – finds *any* plausible date in the
+ * document without enforcing a freshness window. Backs the `datePresent`
+ * rule used by formation certificates and operating agreements.
+ *
+ * @param {string} content OCR-extracted text.
+ * @returns {{text:string, offset:number}|null} The first date-like match, or null.
+ */
+export function findDatePresence(content) {
+  // Early exit if content is too short
+  if (!content || content.length < 10) return null;
+  
+  // Match numeric date formats like MM/DD/YYYY, DD/MM/YYYY, MM-DD-YYYY, etc.
+  const numericDateRegex = /(\d{1,2})[\/\-\.](\d{1,2})[\/\-\.](\d{2,4})/g;
+  const numericDateMatches = Array.from(content.matchAll(numericDateRegex));
+  
+  if (numericDateMatches.length > 0) {
+    // Validate that at least one match looks like a real date
+    for (const match of numericDateMatches.slice(0, 10)) { // Check first 10 matches for performance
+      const parts = match[0].split(/[\/\-\.]/);
+      const num1 = parseInt(parts[0]);
+      const num2 = parseInt(parts[1]);
+      const year = parseInt(parts[2]);
+      
+      // Basic validation: reasonable year and month/day ranges
+      if (year >= 1900 && year <= 2100 && 
+          num1 >= 1 && num1 <= 31 && 
+          num2 >= 1 && num2 <= 31) {
+        return { text: match[0], offset: match.index };
+      }
+    }
+  }
+  
+  // Match written date formats like "January 15, 2023", "15 January 2023", etc.
+  const monthNames = MONTH_NAMES;
+  const monthPattern = monthNames.join('|');
+  const writtenDateRegex = new RegExp(`(${monthPattern})\\s+(\\d{1,2})(?:st|nd|rd|th)?[,\\s]*?(\\d{4})|(\\d{1,2})(?:st|nd|rd|th)?\\s+(${monthPattern})[,\\s]*?(\\d{4})`, 'gi');
+  const writtenDateMatch = writtenDateRegex.exec(content);
+  
+  if (writtenDateMatch) {
+    return { text: writtenDateMatch[0], offset: writtenDateMatch.index };
+  }
+  
+  // Match ordinal date formats like "13th day of May, 2023"
+  const ordinalDateRegex = /(\d{1,2})(st|nd|rd|th)?\s+day\s+of\s+(\w+)[,\s]*(\d{4})/gi;
+  const ordinalMatch = ordinalDateRegex.exec(content);
+  
+  if (ordinalMatch) {
+    return { text: ordinalMatch[0], offset: ordinalMatch.index };
+  }
+  
+  // Match year-only formats like "2023" or "©2023" (but be more specific to avoid false positives)
+  const yearOnlyRegex = /(?:©\s*|copyright\s*|adopted\s*|effective\s*|revised\s*|amended\s*|dated\s*|year\s*)(\d{4})/gi;
+  const yearMatch = yearOnlyRegex.exec(content);
+  
+  if (yearMatch) {
+    return { text: yearMatch[0], offset: yearMatch.index };
+  }
+  
+  return null;
+}
+
+/**
+ * Builds an ISO date, rejecting roll-overs such as 02/31 and implausible
+ * years.
+ *
+ * @param {number} year
+ * @param {number} monthIndex 0-based.
+ * @param {number} day
+ * @returns {string|null} YYYY-MM-DD
+ */
+function toIsoDate(year, monthIndex, day) {
+  const date = new Date(Date.UTC(year, monthIndex, day));
+  if (date.getUTCMonth() !== monthIndex || date.getUTCDate() !== day || year < 1900 || year > 2100) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Returns the role whose keyword occurs closest to the end of `context`.
+ *
+ * @param {string} context Text preceding a date (lower-case).
+ * @returns {string|null}
+ */
+function roleFromContext(context) {
+  let closest = null;
+  let closestIndex = -1;
+  for (const [role, pattern] of Object.entries(ROLE_PATTERNS)) {
+    for (const match of context.matchAll(pattern)) {
+      if (match.index > closestIndex) {
+        closest = role;
+        closestIndex = match.index;
+      }
+    }
+  }
+  return closest;
+}
+
+/**
+ * Finds the dates written in a piece of text.  US ordering (MM/DD/YYYY) is
+ * assumed for numeric dates since all supported documents are issued by NJ
+ * or federal agencies.
+ *
+ * @param {string} text
+ * @returns {Array<{date:string, text:string, offset:number}>} In text order.
+ */
+function findDates(text) {
+  const found = [];
+  const add = (match, iso) => {
+    if (!iso) return;
+    // Alternative formats can overlap (e.g. "15th day of May, 2023"); keep the first
+    const end = match.index + match[0].length;
+    if (found.some(entry => match.index < entry.offset + entry.text.length && entry.offset < end)) return;
+    found.push({ date: iso, text: match[0], offset: match.index });
+  };
+
+  const monthPattern = `(${MONTH_NAMES.join('|')}|${MONTH_NAMES.map(name => name.slice(0, 3)).join('|')})\\.?`;
+  const monthIndex = (name) => MONTH_NAMES.findIndex(month => month.startsWith(name.toLowerCase().slice(0, 3)));
+
+  // "15th day of January, 2024" / "15 January 2024"
+  const dayFirstRegex = new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:day\\s+of\\s+)?${monthPattern},?\\s+(\\d{4})\\b`, 'gi');
+  for (const match of text.matchAll(dayFirstRegex)) {
+    add(match, toIsoDate(parseInt(match[3]), monthIndex(match[2]), parseInt(match[1])));
+  }
+
+  // "January 15, 2024" / "Jan. 15th 2024"
+  const monthFirstRegex = new RegExp(`\\b${monthPattern}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`, 'gi');
+  for (const match of text.matchAll(monthFirstRegex)) {
+    add(match, toIsoDate(parseInt(match[3]), monthIndex(match[1]), parseInt(match[2])));
+  }
+
+  // "01/15/2024", "1-15-2024", "01.15.2024"
+  for (const match of text.matchAll(/\b(\d{1,2})[\/\-\.](\d{1,2})[\/\-\.](\d{4})\b/g)) {
+    add(match, toIsoDate(parseInt(match[3]), parseInt(match[1]) - 1, parseInt(match[2])));
+  }
+
+  // "2024-01-15"
+  for (const match of text.matchAll(/\b(\d{4})-(\d{2})-(\d{2})\b/g)) {
+    add(match, toIsoDate(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3])));
+  }
+
+  return found.sort((a, b) => a.offset - b.offset);
+}
+
+/**
+ * Reads the first date written in a short piece of text, e.g. a key/value
+ * value or a labelled field.
+ *
+ * @param {string} text
+ * @returns {string|null} YYYY-MM-DD, or null when the text holds no date.
+ */
+export function parseDate(text) {
+  const [first] = findDates(text || '');
+  return first ? first.date : null;
+}
+
+/**
+ * Extracts every date mentioned in the document and labels it with its
+ * role – issued, filed, effective, expires, signed or adopted – using the keywords
+ * that precede it on the same line (or ending the previous line, for
+ * "Date Issued:" style labels) and key/value pairs whose key names a role.
+ *
+ * @param {string} content       OCR-extracted text.
+ * @param {Array}  [keyValuePairs] K/V pairs extracted by FR.
+ * @returns {Array<{date:string, role:string|null, text:string, offset:number}>}
+ *   In document order; K/V dates not found in the text have offset -1.
+ */
+export function extractDateMentions(content, keyValuePairs = []) {
+  if (!content) return [];
+
+  const mentions = findDates(content).map(found => {
+    const lineStart = content.lastIndexOf('\n', found.offset - 1) + 1;
+    let context = content.slice(lineStart, found.offset).toLowerCase();
+    if (!context.trim() && lineStart > 0) {
+      // Date on its own line: use the label that ends the previous line
+      const previousLineStart = content.lastIndexOf('\n', lineStart - 2) + 1;
+      const previousLine = content.slice(previousLineStart, lineStart - 1).toLowerCase();
+      if (/[:#-]\s*$/.test(previousLine) || previousLine.trim().split(/\s+/).length <= 4) {
+        context = previousLine;
+      }
+    }
+    return { ...found, role: roleFromContext(context) };
+  });
+
+  for (const pair of keyValuePairs) {
+    if (!pair.key || !pair.key.content || !pair.value || !pair.value.content) continue;
+    const role = roleFromContext(pair.key.content.toLowerCase());
+    if (!role) continue;
+
+    for (const found of findDates(pair.value.content)) {
+      const existing = mentions.find(mention => mention.date === found.date && !mention.role);
+      if (existing) {
+        existing.role = role;
+      } else if (!mentions.some(mention => mention.date === found.date && mention.role === role)) {
+        mentions.push({ date: found.date, role, text: found.text, offset: -1 });
+      }
+    }
+  }
+
+  return mentions;
+}
+
+/**
+ * Picks the date the document was issued: the first date labelled
+ * "issued", otherwise the first unlabelled date (issuers print the date
+ * near the top).  Dates labelled with another role – effective, expiry,
+ * filing, signature, adoption – are never used as the issue date.
+ *
+ * @param {Array<{date:string, role:string|null, text:string, offset:number}>} mentions
+ * @returns {{date:string, role:string|null, text:string, offset:number, certainty:number}|null}
+ */
+export function resolveIssueDate(mentions) {
+  const labelled = mentions.find(mention => mention.role === 'issued');
+  if (labelled) return { ...labelled, certainty: 1 };
+
+  const unlabelled = mentions.find(mention => !mention.role);
+  return unlabelled ? { ...unlabelled, certainty: UNLABELED_ISSUE_DATE_CERTAINTY } : null;
+}
+
+/**
+ * Formats a local calendar date as YYYY-MM-DD.
+ *
+ * @param {Date} date
+ * @returns {string}
+ */
+export function formatIsoDate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Whole days between an ISO date and `asOf` (negative for future dates).
+ *
+ * @param {string} isoDate YYYY-MM-DD
+ * @param {Date}   [asOf]  Defaults to today.
+ * @returns {number}
+ */
+export function ageInDays(isoDate, asOf = new Date()) {
+  const today = Date.UTC(asOf.getFullYear(), asOf.getMonth(), asOf.getDate());
+  return Math.floor((today - Date.parse(isoDate)) / MS_PER_DAY);
+}
+
+/**
+ * True when the ISO date lies within the last `months` calendar months
+ * (and not in the future) relative to `asOf`.
+ *
+ * @param {string} isoDate YYYY-MM-DD
+ * @param {number} months
+ * @param {Date}   [asOf]  Defaults to today.
+ * @returns {boolean}
+ */
+export function isWithinMonths(isoDate, months, asOf = new Date()) {
+  const today = Date.UTC(asOf.getFullYear(), asOf.getMonth(), asOf.getDate());
+  const windowStart = Date.UTC(asOf.getFullYear(), asOf.getMonth() - months, asOf.getDate());
+  const date = Date.parse(isoDate);
+  return date >= windowStart && date <= today;
+}
+
+/**
+ * Extracts every plausible calendar date from the document text.
+ *
+ * @param {string} content OCR-extracted text.
+ * @returns {string[]}     Sorted, unique ISO dates (YYYY-MM-DD).
+ */
+export function extractDocumentDates(content) {
+  return Array.from(new Set(findDates(content || '').map(found => found.date))).sort();
+}
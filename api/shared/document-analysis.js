@@ -0,0 +1,255 @@
+import { getAnalysisProvider } from "./analysis/index.js";
+import { validateDocumentByType, resolveProgram } from "./validators.js";
+import { extractFeinCandidates } from "./fein.js";
+import { extractDocumentDates, extractDateMentions, resolveIssueDate, ageInDays, formatIsoDate } from "./dates.js";
+import { buildPageLayouts, buildEvidence } from "./evidence.js";
+import { detectSignatures } from "./signatures.js";
+import { detectSeals } from "./seals.js";
+import { loadRuleDefinitions, applyProgramProfile } from "./rule-engine.js";
+import { extractNameCandidates } from "./name-extraction.js";
+import { extractFields } from "./field-extraction.js";
+import { analyzeIntegrity } from "./integrity.js";
+import { extractCertificateFields, verifyCertificate } from "./certificates.js";
+import { getCertificateVerifier } from "./verification/index.js";
+import { buildRegistryQuery, lookupEntity } from "./business-registry.js";
+import { getRegistryProvider } from "./registry/index.js";
+import { determineVerdict, getReviewThreshold } from "./confidence.js";
+import { classifyDocument, buildClassificationFinding, AUTO_DOCUMENT_TYPE } from "./classification.js";
+/**
+ * shared/document-analysis.js
+ * ===========================
+ * Runs a single decoded file through the configured analysis provider
+ * (Azure Form Recognizer by default, see `analysis/index.js`), the file
+ * integrity checks in `integrity.js`, the certificate and business
+ * registry lookups in `certificates.js` / `business-registry.js` and the
+ * business rules in `validators.js`, producing the JSON body that the front-end renders in
+ * the `ValidationResults` panel.  The typed fields of the document type's
+ * schema (see `field-extraction.js`) are returned as `extractedFields` for
+ * intake systems.
+ *
+ * Used by both HTTP functions:
+ * • validate-document – one file per request.
+ * • validate-packet   – every file of an application packet.
+ */
+
+/**
+ * Returns why the configured analysis provider cannot run (e.g. missing
+ * Azure credentials), or null when it is ready.  Handlers call this
+ * up-front so they can answer with a 500 before decoding files.
+ *
+ * @returns {string|null}
+ */
+export function getAnalysisConfigurationError() {
+  return getAnalysisProvider().configurationError;
+}
+
+/**
+ * Analyses a file with the configured provider, classifies it and
+ * validates the result against the rules for `documentType` – or, for
+ * "auto", for the type it was classified as.
+ *
+ * @param {Object} options
+ * @param {{data:Buffer,type:string,name:string}} options.file  Decoded upload.
+ * @param {string} options.documentType                         One of the supported doc types, or "auto".
+ * @param {{organizationName?:string, fein?:string, dbaName?:string}} options.formFields – user-supplied context.
+ * @param {string} [options.program]                            Program whose policy applies.
+ * @param {Date}   [options.asOf]                               Evaluation date (default today), e.g. the submission date.
+ * @returns {Promise<{success:boolean, verdict:'pass'|'fail'|'needs-review', confidence:number, reviewThreshold:number, missingElements:string[], suggestedActions:string[], findings:Object[], classification:Object, integrity:Object, verification:Object|null, registryLookup:Object|null, extractedFields:Object, documentInfo:Object, organizationNameMatches:boolean}>}
+ */
+export async function validateDocumentFile({ file, documentType, formFields, program, asOf = new Date() }) {
+  const provider = getAnalysisProvider();
+
+  const {
+    content,
+    pages,
+    languages,
+    styles,
+    tables,
+    keyValuePairs,
+    entities,
+  } = await provider.analyze(file);
+
+  // Inspect the file itself for signs of editing before trusting its content
+  const integrity = await analyzeIntegrity(file, { content, providerName: provider.name, formFields });
+
+  // Pre-process lowercase content to avoid repeated toLowerCase() calls
+  const contentLower = content.toLowerCase();
+
+  // Guess the type from its content; "auto" validates against the guess
+  const classification = classifyDocument({ content, contentLower }, documentType);
+  const classificationFinding = buildClassificationFinding(classification);
+  const resolvedDocumentType = documentType === AUTO_DOCUMENT_TYPE ? classification.documentType : documentType;
+  const { documentTypes, sealTemplates } = loadRuleDefinitions();
+  const definition = resolvedDocumentType ? documentTypes[resolvedDocumentType] : null;
+
+  // Seals and stamps on the page images are extra evidence for `seal`
+  // checks, so the images are only decoded for types that have one; a page
+  // image that cannot be decoded just contributes none
+  const sealChecked = definition &&
+    applyProgramProfile(definition, resolvedDocumentType, resolveProgram(program)).checks.some(check => check.type === 'seal');
+  const seals = sealChecked ? await detectSeals(file, pages, sealTemplates).catch(() => []) : [];
+
+  // Certificates the issuing authority can look up are confirmed with it
+  const verificationEntry = definition?.verification;
+  const certificateFields = verificationEntry ? extractCertificateFields(content, keyValuePairs) : null;
+  const verification = verificationEntry
+    ? await verifyCertificate(getCertificateVerifier(), verificationEntry.authority, certificateFields)
+    : null;
+
+  // Filings about a registered entity are checked against the business registry
+  const registryEntry = definition?.registryLookup;
+  const registryLookup = registryEntry
+    ? await lookupEntity(
+      getRegistryProvider(),
+      registryEntry.registry,
+      buildRegistryQuery(content, keyValuePairs, extractNameCandidates(definition.nameExtraction, { content, contentLower, keyValuePairs, entities })[0]?.name)
+    )
+    : null;
+
+  // Validate based on document type
+  const validationResults = resolvedDocumentType ? validateDocumentByType({
+    documentType: resolvedDocumentType,
+    content,
+    contentLower,
+    pages,
+    languages,
+    styles,
+    tables,
+    keyValuePairs,
+    entities,
+    formFields,
+    program,
+    asOf,
+    seals,
+    verification,
+    registryLookup
+  }) : {
+    missingElements: [classificationFinding.message],
+    suggestedActions: [classificationFinding.suggestedAction],
+    findings: []
+  };
+
+  // Typed data for intake systems, read with the type's field schema
+  const extractedFields = extractFields(definition?.fields, {
+    content,
+    keyValuePairs,
+    pages,
+    styles,
+    nameCandidates: validationResults.organizationNameCandidates || [],
+    articles: validationResults.incorporation ? validationResults.incorporation.articles : null,
+    exemption: validationResults.exemption || null,
+    tradeNameCertificate: validationResults.tradeNameCertificate || null
+  });
+
+  const dateMentions = extractDateMentions(content, keyValuePairs);
+  const issueDate = resolveIssueDate(dateMentions);
+
+  // Prepare document info
+  const documentInfo = {
+    pageCount: pages.length,
+    wordCount: pages.reduce((sum, page) => sum + (page.words ? page.words.length : 0), 0),
+    languageInfo: languages.map(lang => ({
+      languageCode: lang.languageCode,
+      confidence: lang.confidence
+    })),
+    containsHandwriting: styles.some(style => style.isHandwritten),
+    documentType: resolvedDocumentType,
+    program: program || null,
+    asOfDate: formatIsoDate(asOf),
+    analysisProvider: provider.name,
+    detectedOrganizationName: validationResults.detectedOrganizationName || null,
+    // Every plausible organization name, most confident first
+    organizationNameCandidates: (validationResults.organizationNameCandidates || [])
+      .map(({ name, source, sources, confidence }) => ({ name, source, sources, confidence })),
+    // Facts compared across documents by the packet consistency checks
+    detectedIdentifiers: extractFeinCandidates(content, keyValuePairs).map(candidate => candidate.text),
+    detectedDates: extractDocumentDates(content),
+    // Dates labelled by role; freshness rules use the issue date
+    dateMentions: dateMentions.map(({ date, role, text }) => ({ date, role, text })),
+    issueDate: issueDate ? { date: issueDate.date, role: issueDate.role, text: issueDate.text } : null,
+    documentAgeDays: issueDate ? ageInDays(issueDate.date, asOf) : null,
+    // Serial number, Applicant ID and issue date of verifiable certificates
+    certificateFields,
+    // Members, managers and ownership of operating agreements (see members.js)
+    memberRoster: validationResults.memberRoster
+      ? {
+        members: validationResults.memberRoster.members.map(({ name, roles, ownershipPercent, source, signature }) => ({
+          name,
+          roles,
+          ownershipPercent,
+          source,
+          signatureBlock: Boolean(signature),
+          signatureMethod: signature ? signature.method : null
+        })),
+        management: validationResults.memberRoster.management,
+        ownershipTotal: validationResults.memberRoster.ownershipTotal
+      }
+      : null,
+    // Articles of a Certificate of Incorporation (see incorporation.js)
+    incorporation: validationResults.incorporation
+      ? {
+        nonprofit: validationResults.incorporation.nonprofit,
+        ...Object.fromEntries(Object.entries(validationResults.incorporation.articles)
+          .map(([article, found]) => [article, found ? found.value : null])),
+        directorCount: validationResults.incorporation.articles.directors ? validationResults.incorporation.articles.directors.count : null
+      }
+      : null,
+    // Exemption stated in an IRS determination letter (see exemption.js)
+    exemption: validationResults.exemption
+      ? {
+        subsection: validationResults.exemption.subsection ? validationResults.exemption.subsection.value : null,
+        foundationStatus: validationResults.exemption.foundationStatus ? validationResults.exemption.foundationStatus.value : null,
+        foundationSection: validationResults.exemption.foundationStatus ? validationResults.exemption.foundationStatus.section : null,
+        effectiveDate: validationResults.exemption.effectiveDate ? validationResults.exemption.effectiveDate.value : null
+      }
+      : null,
+    // Trade name, owners and county clerk filing of a Certificate of Trade Name (see trade-names.js)
+    tradeNameCertificate: validationResults.tradeNameCertificate
+      ? Object.fromEntries(Object.entries(validationResults.tradeNameCertificate)
+        .map(([part, found]) => [part, found ? found.value : null]))
+      : null,
+    // Where signatures were found, strongest first
+    signatures: detectSignatures({ content, pages, styles }).map(mark => {
+      const { text, page, boundingRegions } = buildEvidence(mark, pages);
+      return { method: mark.method, text, page, boundingRegions, confidence: mark.certainty };
+    }),
+    // Seals and stamps found on the page images
+    seals: seals.map(({ template, label, pageNumber, polygon, keywords, certainty }) => ({
+      template,
+      label,
+      page: pageNumber,
+      boundingRegions: [{ pageNumber, polygon }],
+      keywords,
+      confidence: certainty
+    })),
+    // Page sizes and word polygons for the evidence preview
+    pageLayouts: buildPageLayouts(pages)
+  };
+
+  const findings = [classificationFinding, ...(validationResults.findings || [])];
+  const reviewThreshold = getReviewThreshold();
+  const { verdict: rulesVerdict, confidence } = determineVerdict(findings, reviewThreshold);
+  // A file that looks edited is never passed without a reviewer seeing it
+  const verdict = rulesVerdict === 'pass' && integrity.suspicious ? 'needs-review' : rulesVerdict;
+
+  return {
+    success: validationResults.missingElements.length === 0,
+    // "needs-review" when low-confidence OCR, borderline matches or signs of editing decided the outcome
+    verdict,
+    confidence,
+    // Findings below it are low confidence; the front-end emphasises them
+    reviewThreshold,
+    missingElements: validationResults.missingElements,
+    suggestedActions: validationResults.suggestedActions || [],
+    findings,
+    classification,
+    integrity,
+    verification,
+    registryLookup,
+    extractedFields,
+    documentInfo,
+    organizationNameMatches: !findings.some(
+      finding => finding.code === 'organization-name-match' && finding.status === 'fail'
+    )
+  };
+}
@@ -0,0 +1,113 @@
+/**
+ * shared/evidence.js
+ * ==================
+ * Locates finding evidence on the analysed pages.  A text hit (character
+ * offset into `content`) is turned into the page it sits on plus the
+ * bounding polygon of the words covering it, so the front-end can draw the
+ * region on a page preview.
+ *
+ * Geometry follows the Form Recognizer conventions: `polygon` is a list of
+ * `{x, y}` points measured from the top-left corner of the page in the
+ * page's `unit` ("inch" for PDFs, "pixel" for images).  Providers that
+ * return no word polygons (plain text, DOCX) yield no bounding regions.
+ */
+
+/**
+ * Returns the number of the page whose spans contain `offset`.
+ *
+ * @param {Array<{pageNumber:number, spans?:Array<{offset:number, length:number}>}>} pages
+ * @param {number} offset Character offset into `content`.
+ * @returns {number|null}
+ */
+export function pageNumberForOffset(pages, offset) {
+  const page = pages.find(candidate =>
+    (candidate.spans || []).some(span => offset >= span.offset && offset < span.offset + span.length)
+  );
+  return page ? page.pageNumber : null;
+}
+
+/**
+ * Axis-aligned rectangle enclosing every point of the given polygons.
+ *
+ * @param {Array<Array<{x:number, y:number}>>} polygons
+ * @returns {Array<{x:number, y:number}>} Four points, clockwise from top-left.
+ */
+function enclosingRectangle(polygons) {
+  const points = polygons.flat();
+  const xs = points.map(point => point.x);
+  const ys = points.map(point => point.y);
+  const left = Math.min(...xs);
+  const right = Math.max(...xs);
+  const top = Math.min(...ys);
+  const bottom = Math.max(...ys);
+  return [{ x: left, y: top }, { x: right, y: top }, { x: right, y: bottom }, { x: left, y: bottom }];
+}
+
+/**
+ * Bounding regions of the words overlapping a content span, one region per
+ * page (the rectangle enclosing the matched words).
+ *
+ * @param {Array} pages Analysis pages carrying `words[{polygon, span}]`.
+ * @param {{offset:number, length:number}} span
+ * @returns {Array<{pageNumber:number, polygon:Array<{x:number, y:number}>}>}
+ */
+export function boundingRegionsForSpan(pages, { offset, length }) {
+  const end = offset + Math.max(length, 1);
+  const regions = [];
+
+  for (const page of pages) {
+    const polygons = (page.words || [])
+      .filter(word => word.span && word.polygon && word.polygon.length > 0 &&
+                      word.span.offset < end && word.span.offset + word.span.length > offset)
+      .map(word => word.polygon);
+
+    if (polygons.length > 0) {
+      regions.push({ pageNumber: page.pageNumber, polygon: enclosingRectangle(polygons) });
+    }
+  }
+
+  return regions;
+}
+
+/**
+ * Turns a text hit into finding evidence.  Values that cannot be located in
+ * the content (e.g. a K/V value) are reported without span, page or regions.
+ *
+ * @param {{text:string, offset:number}|null} hit
+ * @param {Array} pages
+ * @returns {{text:string, span:{offset:number, length:number}|null, page:number|null, boundingRegions:Array}|null}
+ */
+export function buildEvidence(hit, pages) {
+  if (!hit) return null;
+  if (hit.offset < 0) return { text: hit.text, span: null, page: null, boundingRegions: [] };
+
+  const span = { offset: hit.offset, length: hit.text.length };
+  return {
+    text: hit.text,
+    span,
+    page: pageNumberForOffset(pages, hit.offset),
+    boundingRegions: boundingRegionsForSpan(pages, span)
+  };
+}
+
+/**
+ * Compact page geometry for the front-end preview: page size plus every
+ * word that has a polygon.  Pages without geometry are left out, so an
+ * empty array means no preview can be drawn.
+ *
+ * @param {Array} pages Analysis pages.
+ * @returns {Array<{pageNumber:number, width:number, height:number, unit:string, words:Array<{content:string, polygon:Array<{x:number, y:number}>}>}>}
+ */
+export function buildPageLayouts(pages) {
+  return pages
+    .filter(page => page.width && page.height && (page.words || []).some(word => word.polygon))
+    .map(page => ({
+      pageNumber: page.pageNumber,
+      width: page.width,
+      height: page.height,
+      unit: page.unit,
+      words: page.words
+        .filter(word => word.polygon)
+        .map(word => ({ content: word.content, polygon: word.polygon }))
+    }));
+}
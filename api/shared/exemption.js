@@ -0,0 +1,87 @@
+import { extractDateMentions } from "./dates.js";
+/**
+ * shared/exemption.js
+ * ===================
+ * Reads what an IRS determination letter says about the organization's
+ * exemption for the `exemption` rule checks and the response's
+ * `documentInfo.exemption`:
+ * • subsection       – the 501(c) paragraph the organization is exempt
+ *                      under ("501(c)(3)" → 3).
+ * • foundationStatus – for 501(c)(3) organizations, whether the IRS
+ *                      classified it as a public charity, a private
+ *                      foundation or a private operating foundation, with
+ *                      the Code section cited (509(a)(2), 170(b)(1)(A)(vi),
+ *                      4942(j)(3), …).
+ * • effectiveDate    – the effective date of exemption.
+ *
+ * The EIN and the organization's name are read like on any other document
+ * (see fein.js and name-extraction.js).  Revocation and denial letters are
+ * turned away by the type's `reject` check.
+ */
+
+export const EXEMPTION_PARTS = ['subsection', 'foundationStatus', 'effectiveDate'];
+export const FOUNDATION_STATUSES = ['public-charity', 'private-foundation', 'private-operating-foundation'];
+
+// "exempt … under section 501(c)(3)"; the first 501(c) citation otherwise
+const EXEMPT_SUBSECTION_PATTERN = /\bexempt\b[^.]{0,160}?\b501\s*\(\s*c\s*\)\s*\(\s*(\d{1,2})\s*\)/i;
+const SUBSECTION_PATTERN = /\b501\s*\(\s*c\s*\)\s*\(\s*(\d{1,2})\s*\)/i;
+
+// Foundation status statements, most specific first: "not a private
+// foundation" must be read before "private foundation"
+const FOUNDATION_STATUS_PATTERNS = [
+  { status: 'public-charity', pattern: /\b(?:not|aren['’]t)\s+a\s+private\s+foundation\b/i },
+  { status: 'private-operating-foundation', pattern: /\bprivate\s+operating\s+foundation\b|\b4942\s*\(\s*j\s*\)\s*\(\s*3\s*\)/i },
+  { status: 'private-foundation', pattern: /\b(?:you\s+are|you['’]re|you\s+will\s+be|classified\s+as)\s+a\s+private\s+foundation\b|\bprivate\s+foundation\s+status\s*:/i },
+  { status: 'public-charity', pattern: /\bpublic\s+charity\b|\b509\s*\(\s*a\s*\)\s*\(\s*[123]\s*\)|\b170\s*\(\s*b\s*\)\s*\(\s*1\s*\)\s*\(\s*A\s*\)/i }
+];
+
+// Code sections that classify a 501(c)(3) organization
+const FOUNDATION_SECTION_PATTERN = /\b(?:509\s*\(\s*a\s*\)\s*\(\s*[1-4]\s*\)|170\s*\(\s*b\s*\)\s*\(\s*1\s*\)\s*\(\s*A\s*\)\s*\(\s*[ivx]+\s*\)|4942\s*\(\s*j\s*\)\s*\(\s*3\s*\))/i;
+
+/**
+ * Reads the exemption stated in an IRS determination letter.
+ *
+ * @param {Object} analysis
+ * @param {string} analysis.content
+ * @param {Array}  [analysis.keyValuePairs] K/V pairs extracted by FR.
+ * @returns {{subsection:{value:number, text:string, offset:number}|null,
+ *   foundationStatus:{value:string, section:string|null, text:string, offset:number}|null,
+ *   effectiveDate:{value:string, text:string, offset:number}|null}}
+ *   A part is null when the letter does not state it; `text` / `offset`
+ *   locate its evidence.
+ */
+export function extractExemption({ content, keyValuePairs = [] }) {
+  const text = content || '';
+
+  let subsection = null;
+  const exemptMatch = text.match(EXEMPT_SUBSECTION_PATTERN);
+  const subsectionMatch = exemptMatch || text.match(SUBSECTION_PATTERN);
+  if (subsectionMatch) {
+    // Point at the citation, not the sentence leading up to it
+    const citation = subsectionMatch[0].match(SUBSECTION_PATTERN);
+    subsection = {
+      value: parseInt(subsectionMatch[1], 10),
+      text: citation[0],
+      offset: subsectionMatch.index + citation.index
+    };
+  }
+
+  let foundationStatus = null;
+  for (const { status, pattern } of FOUNDATION_STATUS_PATTERNS) {
+    const match = text.match(pattern);
+    if (!match) continue;
+    const section = text.match(FOUNDATION_SECTION_PATTERN);
+    foundationStatus = {
+      value: status,
+      section: section ? section[0].replace(/\s+/g, '') : null,
+      text: match[0],
+      offset: match.index
+    };
+    break;
+  }
+
+  const effective = extractDateMentions(text, keyValuePairs).find(mention => mention.role === 'effective');
+  const effectiveDate = effective ? { value: effective.date, text: effective.text, offset: effective.offset } : null;
+
+  return { subsection, foundationStatus, effectiveDate };
+}
@@ -0,0 +1,170 @@
+import { findApplicantId } from "./identifiers.js";
+/**
+ * shared/fein.js
+ * ==============
+ * Federal Employer Identification Number (FEIN / EIN) handling shared by
+ * the rule engine, the packet consistency checks and the front-end form.
+ *
+ * • normalizeFein / validateFein – canonical XX-XXXXXXX format and IRS
+ *   prefix validation of user input.
+ * • extractFeinCandidates        – FEINs printed on a document: EINs in the
+ *   text (full or masked), numbers next to EIN/FEIN labels, EIN key/value
+ *   pairs and NJ tax clearance Applicant IDs (FEIN + "/000" suffix).
+ * • compareFeins                 – position-aware full / partial match.
+ *   Documents often mask all but the last digits ("XXX-XXX-789/000"), so
+ *   only the digits visible on both sides are compared.
+ *
+ * Internally every identifier is reduced to a nine-character *pattern* of
+ * digits and "X" (masked / unreadable positions), right-aligned.
+ *
+ * This module has no Node-only dependencies so the front-end can import it.
+ */
+
+// EIN prefixes the IRS has never assigned (see IRS "How EINs are assigned
+// and valid EIN prefixes").
+const INVALID_IRS_PREFIXES = ['00', '07', '08', '09', '17', '18', '19', '28', '29', '49', '69', '70', '78', '79', '89', '96', '97'];
+
+// A partial match needs at least this many comparable digits
+const MIN_COMPARABLE_DIGITS = 3;
+
+const FEIN_LENGTH = 9;
+
+/**
+ * Reduces an identifier to its nine-position pattern: digits are kept,
+ * mask characters (X, *, •, #) become "X", separators are dropped.  An NJ
+ * Applicant ID suffix ("/000") is removed first.  Shorter patterns are
+ * padded on the left with "X" (only the trailing digits are known).
+ *
+ * @param {string} identifier As printed or typed.
+ * @returns {string|null}     e.g. "XXXXXX789", or null when no digit is visible.
+ */
+export function toFeinPattern(identifier) {
+  if (!identifier || typeof identifier !== 'string') return null;
+
+  const characters = identifier
+    .replace(/\/\s*\d{3}\s*$/, '')
+    .replace(/[^0-9Xx*•#]/g, '')
+    .replace(/[x*•#]/g, 'X');
+  if (!/\d/.test(characters)) return null;
+
+  return characters.slice(-FEIN_LENGTH).padStart(FEIN_LENGTH, 'X');
+}
+
+/**
+ * Formats a FEIN pattern as XX-XXXXXXX.
+ *
+ * @param {string} pattern Nine-character pattern.
+ * @returns {string}
+ */
+function formatPattern(pattern) {
+  return `${pattern.slice(0, 2)}-${pattern.slice(2)}`;
+}
+
+/**
+ * Normalizes a complete FEIN to XX-XXXXXXX.
+ *
+ * @param {string} value e.g. "123456789", "12 3456789", "12-3456789".
+ * @returns {string|null} The formatted FEIN, or null when it is not nine digits.
+ */
+export function normalizeFein(value) {
+  if (!value || typeof value !== 'string') return null;
+  const digits = value.replace(/[\s-]/g, '');
+  return /^\d{9}$/.test(digits) ? formatPattern(digits) : null;
+}
+
+/**
+ * Validates a user-entered FEIN: nine digits and a prefix the IRS assigns.
+ *
+ * @param {string} value
+ * @returns {{valid:boolean, normalized:string|null, error:string|null}}
+ */
+export function validateFein(value) {
+  const normalized = normalizeFein(value);
+  if (!normalized) {
+    return { valid: false, normalized: null, error: "FEIN must contain exactly 9 digits (XX-XXXXXXX)" };
+  }
+
+  const prefix = normalized.slice(0, 2);
+  if (INVALID_IRS_PREFIXES.includes(prefix)) {
+    return { valid: false, normalized, error: `FEIN prefix ${prefix} is not a valid IRS prefix` };
+  }
+
+  return { valid: true, normalized, error: null };
+}
+
+/**
+ * Compares two identifiers digit by digit, skipping positions masked on
+ * either side.
+ *
+ * @param {string} identifier1 FEIN, EIN or Applicant ID (full or masked).
+ * @param {string} identifier2
+ * @returns {{matchType:'full'|'partial'|'none'|'insufficient', comparedDigits:number}}
+ *   "full" when all nine digits agree, "partial" when every visible digit
+ *   agrees (at least three), "none" on a conflicting digit and
+ *   "insufficient" when too few digits are visible on both.
+ */
+export function compareFeins(identifier1, identifier2) {
+  const pattern1 = toFeinPattern(identifier1);
+  const pattern2 = toFeinPattern(identifier2);
+  if (!pattern1 || !pattern2) return { matchType: 'insufficient', comparedDigits: 0 };
+
+  let comparedDigits = 0;
+  for (let index = 0; index < FEIN_LENGTH; index++) {
+    if (pattern1[index] === 'X' || pattern2[index] === 'X') continue;
+    if (pattern1[index] !== pattern2[index]) return { matchType: 'none', comparedDigits };
+    comparedDigits++;
+  }
+
+  if (comparedDigits === FEIN_LENGTH) return { matchType: 'full', comparedDigits };
+  if (comparedDigits >= MIN_COMPARABLE_DIGITS) return { matchType: 'partial', comparedDigits };
+  return { matchType: 'insufficient', comparedDigits };
+}
+
+/**
+ * Collects the FEIN candidates printed on a document.
+ *
+ * @param {string} content       OCR-extracted text.
+ * @param {Array}  keyValuePairs K/V pairs extracted by FR.
+ * @returns {Array<{text:string, value:string, offset:number, source:'applicantId'|'text'|'keyValue'}>}
+ *   `text` as printed, `value` formatted XX-XXXXXXX with masked digits as
+ *   "X", `offset` into content (-1 when not found in the text).  Candidates
+ *   are deduplicated by value.
+ */
+export function extractFeinCandidates(content, keyValuePairs = []) {
+  const candidates = [];
+  const addCandidate = (text, offset, source) => {
+    const pattern = toFeinPattern(text);
+    if (!pattern) return;
+    const value = formatPattern(pattern);
+    if (!candidates.some(candidate => candidate.value === value)) {
+      candidates.push({ text: text.trim(), value, offset, source });
+    }
+  };
+
+  const applicantId = findApplicantId(content, keyValuePairs);
+  if (applicantId) {
+    addCandidate(applicantId, content.indexOf(applicantId), 'applicantId');
+  }
+
+  // EINs as XX-XXXXXXX, possibly masked ("XX-XXX6789")
+  for (const match of content.matchAll(/(?<![\w-])[\dXx*]{2}-[\dXx*]{7}(?![\w-])/g)) {
+    addCandidate(match[0], match.index, 'text');
+  }
+
+  // Nine-digit numbers printed next to an EIN / FEIN label
+  const labelledRegex = /\b(?:f?ein|employer\s+identification\s+(?:number|no\.?)|federal\s+(?:tax\s+)?id(?:entification)?(?:\s+(?:number|no\.?))?)\s*[#:.]?\s*(\d[\d\s]{7,10}\d)\b/gi;
+  for (const match of content.matchAll(labelledRegex)) {
+    if (match[1].replace(/\s/g, '').length === FEIN_LENGTH) {
+      addCandidate(match[1], match.index + match[0].lastIndexOf(match[1]), 'text');
+    }
+  }
+
+  for (const pair of keyValuePairs) {
+    if (!pair.key || !pair.key.content || !pair.value || !pair.value.content) continue;
+    if (/\b(f?ein|employer identification|federal (tax )?id)/i.test(pair.key.content)) {
+      addCandidate(pair.value.content, content.indexOf(pair.value.content), 'keyValue');
+    }
+  }
+
+  return candidates;
+}
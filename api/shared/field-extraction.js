@@ -0,0 +1,249 @@
+import { findApplicantId, findSerialNumber, findBusinessEntityId } from "./identifiers.js";
+import { extractFeinCandidates, toFeinPattern } from "./fein.js";
+import { extractDateMentions, resolveIssueDate, parseDate } from "./dates.js";
+import { pageNumberForOffset } from "./evidence.js";
+import { spanConfidence, documentConfidence } from "./confidence.js";
+/**
+ * shared/field-extraction.js
+ * ==========================
+ * Reads the data printed on a document into typed fields, so intake systems
+ * receive the serial number, filing date, EIN, … instead of re-keying them.
+ *
+ * Each document type declares its schema in the rule file:
+ *   "fields": [
+ *     { "name": "issueDate", "label": "Issue date", "type": "date",
+ *       "extract": [{ "type": "date", "role": "issued" }] }
+ *   ]
+ *
+ * Field types – the value is coerced to the type or the source is skipped:
+ * • string  – whitespace collapsed.
+ * • date    – YYYY-MM-DD (see dates.js).
+ * • fein    – XX-XXXXXXX, masked digits as "X" (see fein.js).
+ * • integer – the first number in the text.
+ *
+ * Extraction strategies, tried in order until one yields a value:
+ * • serialNumber / applicantId / businessEntityId – see identifiers.js.
+ * • fein             – the first FEIN printed; `sources` limits where it
+ *                      may come from ("applicantId", "text", "keyValue").
+ * • date             – the first date labelled `role` (see dates.js); the
+ *                      "issued" role falls back to the first unlabelled date.
+ * • organizationName – the top organization-name candidate (see
+ *                      name-extraction.js).
+ * • article          – a Certificate of Incorporation `article` (see
+ *                      incorporation.js): the name, purpose, total
+ *                      authorized shares, registered agent's name, or the
+ *                      directors' / incorporators' names.
+ * • exemption        – an IRS determination letter `exemption` part (see
+ *                      exemption.js): the 501(c) subsection, the
+ *                      foundation status or the effective date.
+ * • tradeName        – a Certificate of Trade Name `part` (see
+ *                      trade-names.js): the trade name, the owners' names,
+ *                      the county or the filing date.
+ * • pattern          – capture group 1 of the first matching `patterns` regex.
+ * • keyValue         – value of the first K/V pair whose key contains one of
+ *                      `keyContains` or equals one of `keyEquals`.
+ * • label            – the text after one of `labels` (case-insensitive) on
+ *                      the same line, else the next non-empty line.
+ *
+ * A field's confidence is the lower of the OCR confidence of the words it
+ * was read from and the certainty of the strategy (see confidence.js).
+ */
+
+export const FIELD_TYPES = ['string', 'date', 'fein', 'integer'];
+export const FIELD_STRATEGY_TYPES = ['serialNumber', 'applicantId', 'businessEntityId', 'fein', 'date', 'organizationName', 'article', 'exemption', 'tradeName', 'pattern', 'keyValue', 'label'];
+
+// Certainty of a value read from the line after its label rather than
+// from the label's own line
+const NEXT_LINE_CERTAINTY = 0.8;
+
+/**
+ * A strategy hit: the text as printed, its offset into content (-1 when
+ * not found in the text) and how sure the strategy is of it.
+ *
+ * @param {string} text
+ * @param {string} content
+ * @param {number} [certainty]
+ * @param {number} [offset]
+ * @returns {{text:string, offset:number, certainty:number}}
+ */
+function hit(text, content, certainty = 1, offset = content.indexOf(text)) {
+  return { text, offset, certainty };
+}
+
+/**
+ * Runs one extraction strategy.
+ *
+ * @param {Object} strategy
+ * @param {{content:string, keyValuePairs:Array, nameCandidates:Array, articles:Object|null, exemption:Object|null, tradeNameCertificate:Object|null}} document
+ * @returns {{text:string, offset:number, certainty:number, value?:string}|null}
+ *   `value` is set when the strategy already produced the typed value.
+ */
+function runFieldStrategy(strategy, { content, keyValuePairs, nameCandidates, articles, exemption, tradeNameCertificate }) {
+  switch (strategy.type) {
+    case 'serialNumber': {
+      const serialNumber = findSerialNumber(content, keyValuePairs);
+      return serialNumber ? hit(serialNumber, content) : null;
+    }
+    case 'applicantId': {
+      const applicantId = findApplicantId(content, keyValuePairs);
+      return applicantId ? hit(applicantId, content) : null;
+    }
+    case 'businessEntityId': {
+      const entityId = findBusinessEntityId(content, keyValuePairs);
+      return entityId ? hit(entityId, content) : null;
+    }
+    case 'fein': {
+      const candidate = extractFeinCandidates(content, keyValuePairs)
+        .find(found => !strategy.sources || strategy.sources.includes(found.source));
+      return candidate ? { ...hit(candidate.text, content, 1, candidate.offset), value: candidate.value } : null;
+    }
+    case 'date': {
+      const mentions = extractDateMentions(content, keyValuePairs);
+      const mention = strategy.role === 'issued'
+        ? resolveIssueDate(mentions)
+        : mentions.find(found => found.role === strategy.role);
+      return mention ? { ...hit(mention.text, content, mention.certainty ?? 1, mention.offset), value: mention.date } : null;
+    }
+    case 'organizationName': {
+      const [candidate] = nameCandidates;
+      return candidate ? hit(candidate.name, content, candidate.confidence, candidate.offset) : null;
+    }
+    case 'article': {
+      const article = articles ? articles[strategy.article] : null;
+      if (!article) return null;
+      const { value } = article;
+      const text = Array.isArray(value) ? value.map(person => person.name).join(', ')
+        : strategy.article === 'shares' ? (value.total === null ? '' : String(value.total))
+        : strategy.article === 'registeredAgent' ? value.name || ''
+        : value;
+      return text ? hit(text, content) : null;
+    }
+    case 'exemption': {
+      const part = exemption ? exemption[strategy.exemption] : null;
+      return part ? { ...hit(part.text, content, 1, part.offset), value: String(part.value) } : null;
+    }
+    case 'tradeName': {
+      const part = tradeNameCertificate ? tradeNameCertificate[strategy.part] : null;
+      const value = part ? (Array.isArray(part.value) ? part.value.join(', ') : part.value) : null;
+      return value ? { ...hit(part.text, content, 1, part.offset), value } : null;
+    }
+    case 'pattern': {
+      for (const source of strategy.patterns || []) {
+        const match = content.match(new RegExp(source, 'i'));
+        if (match && match[1] && match[1].trim()) {
+          const text = match[1].trim();
+          return hit(text, content, 1, match.index + match[0].indexOf(text));
+        }
+      }
+      return null;
+    }
+    case 'keyValue': {
+      const keyContains = strategy.keyContains || [];
+      const keyEquals = strategy.keyEquals || [];
+      const pair = keyValuePairs.find(candidate => {
+        if (!candidate.key || !candidate.key.content || !candidate.value || !candidate.value.content) return false;
+        const key = candidate.key.content.toLowerCase();
+        return keyContains.some(fragment => key.includes(fragment)) ||
+               keyEquals.some(value => key.trim() === value);
+      });
+      return pair
+        ? hit(pair.value.content.trim(), content, typeof pair.confidence === 'number' ? pair.confidence : 1)
+        : null;
+    }
+    case 'label': {
+      const lines = content.split('\n');
+      let offset = 0;
+      for (let index = 0; index < lines.length; index++) {
+        const line = lines[index];
+        const lineLower = line.toLowerCase();
+        for (const label of strategy.labels || []) {
+          const labelIndex = lineLower.indexOf(label.toLowerCase());
+          if (labelIndex === -1) continue;
+          const rest = line.slice(labelIndex + label.length).replace(/^[\s:#.-]+/, '').trim();
+          if (rest) return hit(rest, content, 1, offset + line.indexOf(rest, labelIndex + label.length));
+          // Value on the next non-empty line
+          let nextOffset = offset + line.length + 1;
+          for (const next of lines.slice(index + 1)) {
+            if (next.trim()) return hit(next.trim(), content, NEXT_LINE_CERTAINTY, nextOffset + next.indexOf(next.trim()));
+            nextOffset += next.length + 1;
+          }
+        }
+        offset += line.length + 1;
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Coerces the text of a hit to a field type.
+ *
+ * @param {string} type One of FIELD_TYPES.
+ * @param {string} text
+ * @returns {string|number|null} null when the text does not hold such a value.
+ */
+function coerce(type, text) {
+  switch (type) {
+    case 'date':
+      return parseDate(text);
+    case 'fein': {
+      const pattern = toFeinPattern(text);
+      return pattern ? `${pattern.slice(0, 2)}-${pattern.slice(2)}` : null;
+    }
+    case 'integer': {
+      const number = text.match(/\d+/);
+      return number ? parseInt(number[0], 10) : null;
+    }
+    default:
+      return text.replace(/\s+/g, ' ').trim() || null;
+  }
+}
+
+/**
+ * Reads a document type's fields from an analysed document.
+ *
+ * @param {Object[]} fields The type's `fields` schema; a type without one
+ *                          yields an empty object.
+ * @param {Object} analysis
+ * @param {string} analysis.content
+ * @param {Array}  analysis.keyValuePairs
+ * @param {Array}  analysis.pages
+ * @param {Array}  analysis.styles
+ * @param {Array}  [analysis.nameCandidates] Ranked organization names (see name-extraction.js).
+ * @param {Object} [analysis.articles]       Certificate of Incorporation articles (see incorporation.js).
+ * @param {Object} [analysis.exemption]      IRS determination letter exemption (see exemption.js).
+ * @param {Object} [analysis.tradeNameCertificate] Certificate of Trade Name parts (see trade-names.js).
+ * @returns {Object<string, {label:string, type:string, value:string|number|null, text:string|null, source:string|null, page:number|null, confidence:number|null}>}
+ *   Keyed by field name, in schema order; fields not found have a null value.
+ */
+export function extractFields(fields, { content, keyValuePairs, pages, styles, nameCandidates = [], articles = null, exemption = null, tradeNameCertificate = null }) {
+  const extracted = {};
+
+  for (const field of fields || []) {
+    extracted[field.name] = { label: field.label || field.name, type: field.type, value: null, text: null, source: null, page: null, confidence: null };
+
+    for (const strategy of field.extract) {
+      const found = runFieldStrategy(strategy, { content, keyValuePairs, nameCandidates, articles, exemption, tradeNameCertificate });
+      if (!found) continue;
+      // Strategies that already parsed the value only need it in the field's type
+      const value = coerce(field.type, found.value !== undefined ? found.value : found.text);
+      if (value === null) continue;
+
+      const ocrConfidence = found.offset >= 0
+        ? spanConfidence({ pages, styles }, { offset: found.offset, length: found.text.length })
+        : documentConfidence({ pages, styles });
+      Object.assign(extracted[field.name], {
+        value,
+        text: found.text,
+        source: strategy.type,
+        page: found.offset >= 0 ? pageNumberForOffset(pages, found.offset) : null,
+        confidence: Math.round(Math.min(ocrConfidence, found.certainty) * 100) / 100
+      });
+      break;
+    }
+  }
+
+  return extracted;
+}
@@ -0,0 +1,91 @@
+/**
+ * shared/identifiers.js
+ * =====================
+ * Locates document identifiers (tax clearance Applicant IDs and serial
+ * numbers, NJ business entity IDs) in OCR text and key/value pairs.  FEIN
+ * parsing and matching live in fein.js.
+ */
+
+// "Business ID Number: 0450123456", "Entity ID # 0100123456"
+const ENTITY_ID_PATTERN = /\b(?:business\s+(?:entity\s+)?id(?:entification)?|entity\s+id)(?:\s+(?:number|no\.?))?\s*[:#]?\s*(\d{10})\b/i;
+const ENTITY_ID_KEY_PATTERN = /\b(?:business|entity)\s+id/i;
+
+// "Serial#: 1234567", "Serial Number 12345-678", "Serial No. 1234567"
+const SERIAL_NUMBER_PATTERN = /serial\s*(?:#|no\.?|number)?\s*[:#]?\s*([A-Z0-9][A-Z0-9-]{3,})/gi;
+
+/**
+ * Locates the Applicant ID printed on NJ tax clearance certificates (the
+ * FEIN followed by a three-digit suffix, often partially masked), first in
+ * the raw text and then in the key/value pairs.
+ *
+ * @param {string} content       OCR-extracted text.
+ * @param {Array}  keyValuePairs K/V pairs extracted by FR.
+ * @returns {string|null}        The Applicant ID as printed, or null.
+ */
+export function findApplicantId(content, keyValuePairs) {
+  // Look for Applicant ID patterns in content
+  const applicantIdMatch = content.match(/applicant\s+id[#:]?\s*:?\s*(.*?)(?=\r|\n|$)/i);
+  if (applicantIdMatch && applicantIdMatch[1] && applicantIdMatch[1].trim()) {
+    return applicantIdMatch[1].trim();
+  }
+  
+  // If not found yet, check key-value pairs
+  const idPair = keyValuePairs.find(pair => 
+    pair.key && pair.key.content && 
+    (pair.key.content.toLowerCase().includes('applicant id') ||
+     pair.key.content.toLowerCase().includes('id #'))
+  );
+  
+  if (idPair && idPair.value) {
+    return idPair.value.content;
+  }
+  
+  return null;
+}
+
+/**
+ * Locates the serial number printed on online-generated NJ tax clearance
+ * certificates, first in the raw text and then in the key/value pairs.
+ * Only values containing a digit count, so a label followed by a word is
+ * not mistaken for a serial number.
+ *
+ * @param {string} content       OCR-extracted text.
+ * @param {Array}  keyValuePairs K/V pairs extracted by FR.
+ * @returns {string|null}        The serial number as printed, or null.
+ */
+export function findSerialNumber(content, keyValuePairs) {
+  for (const match of content.matchAll(SERIAL_NUMBER_PATTERN)) {
+    if (/\d/.test(match[1])) return match[1];
+  }
+
+  const serialPair = keyValuePairs.find(pair =>
+    pair.key && pair.key.content && /serial/i.test(pair.key.content) &&
+    pair.value && pair.value.content && /\d/.test(pair.value.content)
+  );
+
+  return serialPair ? serialPair.value.content.trim() : null;
+}
+
+/**
+ * Locates the ten-digit business entity ID the NJ Division of Revenue
+ * prints on formation and incorporation filings, first in the raw text and
+ * then in the key/value pairs.
+ *
+ * @param {string} content       OCR-extracted text.
+ * @param {Array}  keyValuePairs K/V pairs extracted by FR.
+ * @returns {string|null}        The ten digits, or null.
+ */
+export function findBusinessEntityId(content, keyValuePairs) {
+  const entityIdMatch = content.match(ENTITY_ID_PATTERN);
+  if (entityIdMatch) {
+    return entityIdMatch[1];
+  }
+
+  for (const pair of keyValuePairs) {
+    if (!pair.key || !pair.key.content || !ENTITY_ID_KEY_PATTERN.test(pair.key.content)) continue;
+    const digits = pair.value && pair.value.content ? pair.value.content.replace(/\s/g, '') : '';
+    if (/^\d{10}$/.test(digits)) return digits;
+  }
+
+  return null;
+}
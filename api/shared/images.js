@@ -0,0 +1,350 @@
+import { inflateSync } from "zlib";
+/**
+ * shared/images.js
+ * ================
+ * Decodes the page images of an upload into plain rasters for the image
+ * based detectors (see seals.js), without any native dependency:
+ *
+ * • PNG  – decoded here (zlib + the five PNG row filters).
+ * • JPEG – decoded with the JPEG decoder that ships with `pdfjs-dist`.
+ * • PDF  – every image painted on a page (a scanned page is one large
+ *          image; a generated certificate may paste the seal as a small
+ *          one) is taken from the pdfjs operator list together with where
+ *          it is drawn.
+ * Text, DOCX and legacy DOC uploads have no page images.
+ *
+ * A raster is `{ width, height, channels: 1 | 3, data: Uint8Array }` (grey
+ * or RGB, row-major, transparency flattened onto white).  Each image comes
+ * with its `placement` on the page, in inches from the top-left corner.
+ */
+
+const POINTS_PER_INCH = 72;
+
+// Image uploads carry no physical size; they are assumed to be a
+// letter-size page scanned edge to edge
+const LETTER_WIDTH_INCHES = 8.5;
+
+// Images smaller than this on the page (in inches) are bullets, logos in
+// letterheads and the like – too small to hold a seal or stamp
+const MIN_PLACED_IMAGE_INCHES = 0.5;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// pdfjs ImageKind values
+const PDF_IMAGE_GRAYSCALE_1BPP = 1;
+const PDF_IMAGE_RGBA_32BPP = 3;
+
+/**
+ * Lower-cased file extension without the dot ("" when absent).
+ *
+ * @param {string} fileName
+ * @returns {string}
+ */
+function getExtension(fileName) {
+  const match = /\.([^.]+)$/.exec(fileName || '');
+  return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * Blends a colour value with white according to its opacity.
+ *
+ * @param {number} value 0..255
+ * @param {number} alpha 0..255
+ * @returns {number}
+ */
+function flattenAlpha(value, alpha) {
+  return Math.round((value * alpha + 255 * (255 - alpha)) / 255);
+}
+
+/**
+ * Decodes a non-interlaced PNG.
+ *
+ * @param {Buffer} buffer
+ * @returns {{width:number, height:number, channels:number, data:Uint8Array}}
+ * @throws {Error} On a malformed or interlaced file.
+ */
+export function decodePng(buffer) {
+  if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error("Not a PNG image");
+  }
+
+  let header = null;
+  let palette = null;
+  const compressed = [];
+  for (let position = 8; position + 8 <= buffer.length;) {
+    const length = buffer.readUInt32BE(position);
+    const type = buffer.toString('latin1', position + 4, position + 8);
+    const chunk = buffer.subarray(position + 8, position + 8 + length);
+    if (type === 'IHDR') {
+      header = {
+        width: chunk.readUInt32BE(0),
+        height: chunk.readUInt32BE(4),
+        bitDepth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = chunk;
+    } else if (type === 'IDAT') {
+      compressed.push(chunk);
+    } else if (type === 'IEND') {
+      break;
+    }
+    position += length + 12;
+  }
+
+  if (!header || !PNG_CHANNELS[header.colorType]) throw new Error("Unsupported PNG header");
+  if (header.interlace) throw new Error("Interlaced PNG images are not supported");
+  if (header.colorType === 3 && !palette) throw new Error("PNG palette is missing");
+
+  const { width, height, bitDepth, colorType } = header;
+  const samplesPerPixel = PNG_CHANNELS[colorType];
+  const bitsPerPixel = samplesPerPixel * bitDepth;
+  const bytesPerPixel = Math.max(1, Math.ceil(bitsPerPixel / 8));
+  const stride = Math.ceil((width * bitsPerPixel) / 8);
+  const raw = inflateSync(Buffer.concat(compressed));
+
+  // Undo the per-row filters in place
+  const rows = new Uint8Array(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const source = y * (stride + 1) + 1;
+    const row = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const left = x >= bytesPerPixel ? rows[row + x - bytesPerPixel] : 0;
+      const up = y > 0 ? rows[row - stride + x] : 0;
+      const upLeft = y > 0 && x >= bytesPerPixel ? rows[row - stride + x - bytesPerPixel] : 0;
+      let predictor = 0;
+      if (filter === 1) predictor = left;
+      else if (filter === 2) predictor = up;
+      else if (filter === 3) predictor = (left + up) >> 1;
+      else if (filter === 4) {
+        const estimate = left + up - upLeft;
+        const toLeft = Math.abs(estimate - left);
+        const toUp = Math.abs(estimate - up);
+        const toUpLeft = Math.abs(estimate - upLeft);
+        predictor = toLeft <= toUp && toLeft <= toUpLeft ? left : toUp <= toUpLeft ? up : upLeft;
+      }
+      rows[row + x] = (raw[source + x] + predictor) & 0xff;
+    }
+  }
+
+  // Reads sample `index` of a row, scaled to 0..255
+  const maxSample = (1 << Math.min(bitDepth, 8)) - 1;
+  const sampleAt = (row, index) => {
+    if (bitDepth === 16) return rows[row + index * 2];
+    if (bitDepth === 8) return rows[row + index];
+    const bit = index * bitDepth;
+    const value = (rows[row + (bit >> 3)] >> (8 - bitDepth - (bit & 7))) & maxSample;
+    return colorType === 3 ? value : Math.round((value * 255) / maxSample);
+  };
+
+  const channels = colorType === 0 || colorType === 4 ? 1 : 3;
+  const data = new Uint8Array(width * height * channels);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const first = x * samplesPerPixel;
+      const target = (y * width + x) * channels;
+      if (colorType === 3) {
+        const entry = sampleAt(y * stride, first) * 3;
+        data.set(palette.subarray(entry, entry + 3), target);
+      } else if (channels === 1) {
+        const alpha = colorType === 4 ? sampleAt(y * stride, first + 1) : 255;
+        data[target] = flattenAlpha(sampleAt(y * stride, first), alpha);
+      } else {
+        const alpha = colorType === 6 ? sampleAt(y * stride, first + 3) : 255;
+        for (let channel = 0; channel < 3; channel++) {
+          data[target + channel] = flattenAlpha(sampleAt(y * stride, first + channel), alpha);
+        }
+      }
+    }
+  }
+
+  return { width, height, channels, data };
+}
+
+/**
+ * Decodes a JPEG with the decoder bundled in `pdfjs-dist`.
+ *
+ * @param {Buffer} buffer
+ * @returns {Promise<{width:number, height:number, channels:number, data:Uint8Array}>}
+ */
+export async function decodeJpeg(buffer) {
+  // pdfjs-dist v3 ships its Node builds as CommonJS, exposed as the default export
+  const { default: { JpegImage } } = await import("pdfjs-dist/legacy/image_decoders/pdf.image_decoders.js");
+  const decoder = new JpegImage();
+  decoder.parse(new Uint8Array(buffer));
+  const { width, height } = decoder;
+  return { width, height, channels: 3, data: new Uint8Array(decoder.getData({ width, height, forceRGB: true })) };
+}
+
+/**
+ * Converts a pdfjs image object into a raster.
+ *
+ * @param {{width:number, height:number, kind:number, data:Uint8ClampedArray}} image
+ * @returns {{width:number, height:number, channels:number, data:Uint8Array}|null}
+ */
+function rasterOfPdfImage({ width, height, kind, data }) {
+  if (!data) return null;
+
+  if (kind === PDF_IMAGE_GRAYSCALE_1BPP) {
+    // Rows are padded to whole bytes; a set bit is white
+    const rowBytes = (width + 7) >> 3;
+    const gray = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        gray[y * width + x] = data[y * rowBytes + (x >> 3)] & (0x80 >> (x & 7)) ? 255 : 0;
+      }
+    }
+    return { width, height, channels: 1, data: gray };
+  }
+
+  if (kind === PDF_IMAGE_RGBA_32BPP) {
+    const rgb = new Uint8Array(width * height * 3);
+    for (let pixel = 0; pixel < width * height; pixel++) {
+      const alpha = data[pixel * 4 + 3];
+      for (let channel = 0; channel < 3; channel++) {
+        rgb[pixel * 3 + channel] = flattenAlpha(data[pixel * 4 + channel], alpha);
+      }
+    }
+    return { width, height, channels: 3, data: rgb };
+  }
+
+  return { width, height, channels: 3, data: new Uint8Array(data) };
+}
+
+/**
+ * Multiplies two PDF transformation matrices ([a, b, c, d, e, f]).
+ *
+ * @param {number[]} m1
+ * @param {number[]} m2
+ * @returns {number[]} m1 × m2
+ */
+function multiplyTransforms(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[2] * m2[1],
+    m1[1] * m2[0] + m1[3] * m2[1],
+    m1[0] * m2[2] + m1[2] * m2[3],
+    m1[1] * m2[2] + m1[3] * m2[3],
+    m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+    m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+  ];
+}
+
+/**
+ * Extracts the images painted on every PDF page, with the rectangle each
+ * one covers.  The current transformation matrix is tracked through the
+ * operator list; images are drawn onto the unit square.
+ *
+ * @param {Buffer} buffer
+ * @returns {Promise<Array<{pageNumber:number, pageWidthInches:number, raster:Object, placement:{x:number, y:number, width:number, height:number}}>>}
+ */
+async function extractPdfImages(buffer) {
+  const { default: { getDocument, OPS } } = await import("pdfjs-dist/legacy/build/pdf.js");
+  const pdf = await getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    isOffscreenCanvasSupported: false,
+    disableFontFace: true,
+    verbosity: 0
+  }).promise;
+
+  try {
+    const images = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const { width: pageWidth, height: pageHeight } = page.getViewport({ scale: 1 });
+      const { fnArray, argsArray } = await page.getOperatorList();
+
+      let transform = [1, 0, 0, 1, 0, 0];
+      const saved = [];
+      for (let index = 0; index < fnArray.length; index++) {
+        const args = argsArray[index];
+        switch (fnArray[index]) {
+          case OPS.save:
+            saved.push(transform);
+            break;
+          case OPS.restore:
+            transform = saved.pop() || transform;
+            break;
+          case OPS.transform:
+            transform = multiplyTransforms(transform, args);
+            break;
+          case OPS.paintFormXObjectBegin:
+            saved.push(transform);
+            if (Array.isArray(args[0]) && args[0].length === 6) transform = multiplyTransforms(transform, args[0]);
+            break;
+          case OPS.paintFormXObjectEnd:
+            transform = saved.pop() || transform;
+            break;
+          case OPS.paintImageXObject:
+          case OPS.paintInlineImageXObject: {
+            // The unit square's corners under the current transform, in points from the bottom-left
+            const corners = [[0, 0], [1, 0], [0, 1], [1, 1]].map(([u, v]) => [
+              transform[0] * u + transform[2] * v + transform[4],
+              transform[1] * u + transform[3] * v + transform[5]
+            ]);
+            const xs = corners.map(corner => corner[0]);
+            const ys = corners.map(corner => corner[1]);
+            const placement = {
+              x: Math.min(...xs) / POINTS_PER_INCH,
+              y: (pageHeight - Math.max(...ys)) / POINTS_PER_INCH,
+              width: (Math.max(...xs) - Math.min(...xs)) / POINTS_PER_INCH,
+              height: (Math.max(...ys) - Math.min(...ys)) / POINTS_PER_INCH
+            };
+            if (Math.max(placement.width, placement.height) < MIN_PLACED_IMAGE_INCHES) break;
+
+            let image = args[0];
+            if (typeof image === 'string') {
+              const store = image.startsWith('g_') ? page.commonObjs : page.objs;
+              image = await new Promise(resolve => store.get(image, resolve));
+            }
+            const raster = image ? rasterOfPdfImage(image) : null;
+            if (raster) images.push({ pageNumber, pageWidthInches: pageWidth / POINTS_PER_INCH, raster, placement });
+            break;
+          }
+          default:
+            break;
+        }
+      }
+      page.cleanup();
+    }
+    return images;
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+/**
+ * Decodes the page images of an upload.
+ *
+ * @param {{data:Buffer, type:string, name:string}} file
+ * @returns {Promise<Array<{pageNumber:number, pageWidthInches:number, raster:{width:number, height:number, channels:number, data:Uint8Array}, placement:{x:number, y:number, width:number, height:number}}>>}
+ *   Empty for files without page images.
+ */
+export async function loadPageImages(file) {
+  const buffer = Buffer.from(file.data);
+  const type = (file.type || '').toLowerCase();
+  const extension = getExtension(file.name);
+
+  if (type === 'application/pdf' || extension === 'pdf') {
+    return extractPdfImages(buffer);
+  }
+
+  let raster = null;
+  if (type === 'image/png' || extension === 'png') {
+    raster = decodePng(buffer);
+  } else if (['image/jpeg', 'image/jpg'].includes(type) || ['jpg', 'jpeg'].includes(extension)) {
+    raster = await decodeJpeg(buffer);
+  }
+  if (!raster) return [];
+
+  const heightInches = (raster.height / raster.width) * LETTER_WIDTH_INCHES;
+  return [{
+    pageNumber: 1,
+    pageWidthInches: LETTER_WIDTH_INCHES,
+    raster,
+    placement: { x: 0, y: 0, width: LETTER_WIDTH_INCHES, height: heightInches }
+  }];
+}
@@ -0,0 +1,263 @@
+import { readLeadingName } from "./members.js";
+import { readNameArticle } from "./name-extraction.js";
+/**
+ * shared/incorporation.js
+ * =======================
+ * Reads the articles of a Certificate of Incorporation for the `article`
+ * rule checks and the response's `documentInfo.incorporation`:
+ * • name            – "The name of the corporation is …" (see
+ *                     `readNameArticle`), else the top organization-name
+ *                     candidate.
+ * • purpose         – the purpose clause.
+ * • shares          – the aggregate number of authorized shares and the
+ *                     classes ("1,000 shares of common stock").  Nonprofit
+ *                     corporations (N.J.S.A. 15A) have no shares.
+ * • registeredAgent – the registered agent and registered office.
+ * • directors       – the first board of directors (trustees for
+ *                     nonprofits), with their addresses.
+ * • incorporators   – the incorporators, from their article or from
+ *                     "…, Incorporator" signature lines.
+ *
+ * Directors and incorporators are read from the lines under their article
+ * and, with Azure, from the tables that follow it.
+ */
+
+export const ARTICLES = ['name', 'purpose', 'shares', 'registeredAgent', 'directors', 'incorporators'];
+
+const PURPOSE_PATTERN = /\bpurposes?\s+(?:for\s+which\s+the\s+corporation\s+is\s+(?:organized|formed)|of\s+the\s+corporation)\b[^\r\n]*|\bpurposes?\s*:\s*[^\r\n]+/i;
+const AGGREGATE_SHARES_PATTERN = /\b(?:aggregate|total)\s+number\s+of\s+shares[^.\d]{0,100}?(\d[\d,]*)|\bauthori[sz]ed\s+to\s+issue\s+(?:up\s+to\s+|a\s+total\s+of\s+)?(\d[\d,]*)\s+shares/i;
+const SHARE_CLASS_PATTERN = /(\d[\d,]*)\s+shares\s+of\s+((?:class\s+\w+\s+)?(?:common|preferred)(?:\s+stock)?)/gi;
+const NONPROFIT_PATTERN = /\bnon-?profit\b|\bnot[- ]for[- ]profit\b|\bshall\s+not\s+have\s+(?:capital\s+)?stock\b|\b15A:/i;
+const REGISTERED_AGENT_PATTERN = /\bregistered\s+agent\b[^:\r\n]*?(?:\bis\b|:)\s*([^\r\n]*)/i;
+const REGISTERED_OFFICE_PATTERN = /\bregistered\s+office\b[^:\r\n]*?(?:\bis\b|:)\s*([^\r\n]*)/i;
+const DIRECTORS_ANCHOR_PATTERN = /\b(?:first|initial)\s+(?:board\s+of\s+)?(?:directors|trustees)\b|\bnames?\s+and\s+addresses?\s+of\s+(?:the\s+)?(?:persons?\s+who\s+(?:are|is)\s+to\s+serve\s+as\s+)?(?:the\s+)?(?:first\s+)?(?:directors?|trustees?)\b|^\s*(?:board\s+of\s+)?(?:directors|trustees)\s*(?::|$)/im;
+const DIRECTOR_COUNT_PATTERN = /\bnumber\s+of\s+(?:directors|trustees)\b[^.\d]{0,80}?\b(\d+|one|two|three|four|five|six|seven|eight|nine|ten)\b/i;
+const INCORPORATORS_ANCHOR_PATTERN = /\bnames?\s+and\s+addresses?\s+of\s+(?:the\s+|each\s+)?incorporators?\b|^\s*incorporators?(?:\(s\))?\s*(?::|$)|\bincorporators?(?:\(s\))?\s+(?:is|are)\s*:/im;
+const SIGNED_INCORPORATOR_PATTERN = /([A-Z][A-Za-z.'’-]*(?:[ \t]+[A-Z][A-Za-z.'’-]*){1,3}),?[ \t]+(?:sole[ \t]+)?incorporator\b/g;
+
+// A line that starts the next article, or a labelled line ("Registered
+// Agent: …"), ends a list of people
+const NEXT_ARTICLE_PATTERN = /^\s*(?:\d+\s*[.)]|[IVX]+\s*[.)]|article\b|(?:first|second|third|fourth|fifth|sixth|seventh|eighth|ninth|tenth)\s*[:.]|in\s+witness\b|[A-Za-z][A-Za-z ()'-]{1,40}:)/i;
+
+// Lines read after an anchor when looking for the people it lists
+const LIST_WINDOW = 12;
+
+const NUMBER_WORDS = ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten'];
+
+// Header cells of a table listing people
+const NAME_HEADER_PATTERN = /\bnames?\b/i;
+const ADDRESS_HEADER_PATTERN = /\baddress/i;
+
+// Text searched for the heading line before a table, which tells what it lists
+const TABLE_HEADING_LOOKBACK = 200;
+
+/**
+ * Parses "1,000" into 1000.
+ *
+ * @param {string} text
+ * @returns {number}
+ */
+function parseCount(text) {
+  return parseInt(text.replace(/,/g, ''), 10);
+}
+
+/**
+ * Reads the people listed on the lines after an anchor: one per line, the
+ * name first, then the address on the same line or on the lines below.
+ * Names on the anchor's own line may be joined by "and" or ";".
+ *
+ * @param {string} content
+ * @param {RegExp} anchorPattern
+ * @returns {{people:Array<{name:string, address:string|null, offset:number}>, anchor:{text:string, offset:number}}|null}
+ *   null when the anchor is not found.
+ */
+function peopleAfterAnchor(content, anchorPattern) {
+  const anchor = anchorPattern.exec(content);
+  if (!anchor) return null;
+
+  const people = [];
+  const lineEnd = content.indexOf('\n', anchor.index);
+  const anchorLineEnd = lineEnd === -1 ? content.length : lineEnd;
+
+  // Names may follow the anchor on its own line ("… are: Jane Doe, 1 Main St")
+  const sameLine = content.slice(anchor.index + anchor[0].length, anchorLineEnd).replace(/^[^:]*:/, '');
+  const lines = [sameLine, ...content.slice(anchorLineEnd + 1).split('\n').slice(0, LIST_WINDOW)];
+  let offset = anchorLineEnd - sameLine.length;
+
+  for (const [index, line] of lines.entries()) {
+    if (index > 0 && NEXT_ARTICLE_PATTERN.test(line)) break;
+    for (const part of index === 0 ? line.split(/;|\s+and\s+/) : [line]) {
+      const text = part.trim();
+      if (!text) continue;
+      const leading = /^\d/.test(text) ? null : readLeadingName(text);
+      if (leading) {
+        people.push({ name: leading.name, address: leading.rest || null, offset: content.indexOf(leading.name, offset) });
+      } else if (people.length > 0) {
+        // An address line belongs to the person above it
+        const last = people[people.length - 1];
+        last.address = last.address ? `${last.address}, ${text}` : text;
+      }
+    }
+    offset += line.length + 1;
+  }
+
+  return { people, anchor: { text: anchor[0].trim(), offset: anchor.index } };
+}
+
+/**
+ * Reads the people listed in tables whose heading – the line before the
+ * table – matches `headingPattern`.
+ *
+ * @param {string} content
+ * @param {Array} tables Tables from the analysis provider.
+ * @param {RegExp} headingPattern
+ * @returns {Array<{name:string, address:string|null, offset:number}>}
+ */
+function peopleFromTables(content, tables, headingPattern) {
+  const people = [];
+  for (const table of tables) {
+    const tableOffset = table.spans && table.spans[0] ? table.spans[0].offset : -1;
+    if (tableOffset < 0) continue;
+    const heading = content.slice(Math.max(tableOffset - TABLE_HEADING_LOOKBACK, 0), tableOffset).trim().split('\n').pop();
+    if (!headingPattern.test(heading)) continue;
+
+    const cells = table.cells || [];
+    const headers = cells.filter(cell => cell.kind === 'columnHeader' || cell.rowIndex === 0);
+    const nameHeader = headers.find(cell => NAME_HEADER_PATTERN.test(cell.content || ''));
+    if (!nameHeader) continue;
+    const addressHeader = headers.find(cell => ADDRESS_HEADER_PATTERN.test(cell.content || ''));
+    const headerRows = new Set(headers.map(cell => cell.rowIndex));
+
+    for (const cell of cells) {
+      if (headerRows.has(cell.rowIndex) || cell.columnIndex !== nameHeader.columnIndex) continue;
+      const leading = readLeadingName(cell.content || '');
+      if (!leading) continue;
+      const addressCell = addressHeader
+        ? cells.find(other => other.rowIndex === cell.rowIndex && other.columnIndex === addressHeader.columnIndex)
+        : null;
+      people.push({
+        name: leading.name,
+        address: addressCell && addressCell.content ? addressCell.content.replace(/\s*\n\s*/g, ', ') : null,
+        offset: cell.spans && cell.spans[0] ? cell.spans[0].offset : -1
+      });
+    }
+  }
+  return people;
+}
+
+/**
+ * Merges lists of people, keeping the first entry for each name.
+ *
+ * @param {...Array<{name:string}>} lists
+ * @returns {Array<{name:string, address:string|null, offset:number}>}
+ */
+function mergePeople(...lists) {
+  const merged = new Map();
+  for (const person of lists.flat()) {
+    const key = person.name.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    if (!merged.has(key)) merged.set(key, person);
+    else if (!merged.get(key).address && person.address) merged.get(key).address = person.address;
+  }
+  return [...merged.values()];
+}
+
+/**
+ * Reads the articles of a Certificate of Incorporation.
+ *
+ * @param {Object} analysis
+ * @param {string} analysis.content
+ * @param {Array}  [analysis.tables]         Tables from the analysis provider.
+ * @param {Array}  [analysis.nameCandidates] Ranked organization names (see name-extraction.js).
+ * @returns {{nonprofit:boolean, articles:{
+ *   name:{value:string, text:string, offset:number}|null,
+ *   purpose:{value:string, text:string, offset:number}|null,
+ *   shares:{value:{total:number|null, classes:Array<{count:number, className:string}>}, text:string, offset:number}|null,
+ *   registeredAgent:{value:{name:string|null, office:string|null}, text:string, offset:number}|null,
+ *   directors:{value:Array<{name:string, address:string|null}>, count:number|null, text:string, offset:number}|null,
+ *   incorporators:{value:Array<{name:string, address:string|null}>, text:string, offset:number}|null}}}
+ *   An article is null when the certificate does not contain it; the
+ *   `text` / `offset` of each locate its evidence.
+ */
+export function extractIncorporationArticles({ content, tables = [], nameCandidates = [] }) {
+  const text = content || '';
+
+  let name = null;
+  const nameArticle = readNameArticle(text);
+  if (nameArticle) {
+    name = { value: nameArticle.name, text: nameArticle.name, offset: nameArticle.offset };
+  } else if (nameCandidates.length > 0) {
+    name = { value: nameCandidates[0].name, text: nameCandidates[0].name, offset: nameCandidates[0].offset };
+  }
+
+  const purposeMatch = text.match(PURPOSE_PATTERN);
+  const purpose = purposeMatch ? { value: purposeMatch[0].trim(), text: purposeMatch[0].trim(), offset: purposeMatch.index } : null;
+
+  let shares = null;
+  const classes = [...text.matchAll(SHARE_CLASS_PATTERN)]
+    .map(match => ({ count: parseCount(match[1]), className: match[2].toLowerCase().replace(/\s+/g, ' '), text: match[0], offset: match.index }));
+  const aggregate = text.match(AGGREGATE_SHARES_PATTERN);
+  if (aggregate || classes.length > 0) {
+    const total = aggregate
+      ? parseCount(aggregate[1] || aggregate[2])
+      : classes.reduce((sum, shareClass) => sum + shareClass.count, 0);
+    const evidence = aggregate ? { text: aggregate[0], offset: aggregate.index } : classes[0];
+    shares = {
+      value: { total, classes: classes.map(({ count, className }) => ({ count, className })) },
+      text: evidence.text,
+      offset: evidence.offset
+    };
+  }
+
+  let registeredAgent = null;
+  const agentMatch = text.match(REGISTERED_AGENT_PATTERN);
+  const officeMatch = text.match(REGISTERED_OFFICE_PATTERN);
+  if (agentMatch || officeMatch) {
+    let agentName = agentMatch ? agentMatch[1].replace(/[.;]\s*$/, '').trim() : '';
+    if (agentMatch && !agentName) {
+      // "Registered Agent:" with the name on the next line
+      const nextLine = text.slice(agentMatch.index + agentMatch[0].length).split('\n').find((line, index) => index > 0 && line.trim());
+      const leading = nextLine && !NEXT_ARTICLE_PATTERN.test(nextLine) ? readLeadingName(nextLine) : null;
+      agentName = leading ? leading.name : '';
+    }
+    const evidence = agentMatch || officeMatch;
+    registeredAgent = {
+      value: {
+        name: agentName || null,
+        office: officeMatch ? officeMatch[1].replace(/\s+and\s+the\s+name\b.*$/i, '').replace(/[.;]\s*$/, '').trim() || null : null
+      },
+      text: evidence[0].trim(),
+      offset: evidence.index
+    };
+  }
+
+  const directorList = peopleAfterAnchor(text, DIRECTORS_ANCHOR_PATTERN);
+  const directorPeople = mergePeople(directorList ? directorList.people : [], peopleFromTables(text, tables, /\b(?:directors|trustees)\b/i));
+  const countMatch = text.match(DIRECTOR_COUNT_PATTERN);
+  const directorCount = countMatch
+    ? (/^\d+$/.test(countMatch[1]) ? parseInt(countMatch[1], 10) : NUMBER_WORDS.indexOf(countMatch[1].toLowerCase()) + 1)
+    : null;
+  const directorEvidence = directorList ? directorList.anchor : countMatch ? { text: countMatch[0], offset: countMatch.index } : directorPeople[0] ? { text: directorPeople[0].name, offset: directorPeople[0].offset } : null;
+  const directors = directorEvidence
+    ? { value: directorPeople.map(({ name: personName, address }) => ({ name: personName, address })), count: directorCount, ...directorEvidence }
+    : null;
+
+  const incorporatorList = peopleAfterAnchor(text, INCORPORATORS_ANCHOR_PATTERN);
+  const signedIncorporators = [...text.matchAll(SIGNED_INCORPORATOR_PATTERN)]
+    .map(match => readLeadingName(match[1]))
+    .filter(Boolean)
+    .map(leading => ({ name: leading.name, address: null, offset: text.indexOf(leading.name) }));
+  const incorporatorPeople = mergePeople(
+    incorporatorList ? incorporatorList.people : [],
+    peopleFromTables(text, tables, /\bincorporators?\b/i),
+    signedIncorporators
+  );
+  const incorporatorEvidence = incorporatorList ? incorporatorList.anchor : incorporatorPeople[0] ? { text: incorporatorPeople[0].name, offset: incorporatorPeople[0].offset } : null;
+  const incorporators = incorporatorEvidence
+    ? { value: incorporatorPeople.map(({ name: personName, address }) => ({ name: personName, address })), ...incorporatorEvidence }
+    : null;
+
+  return {
+    nonprofit: NONPROFIT_PATTERN.test(text),
+    articles: { name, purpose, shares, registeredAgent, directors, incorporators }
+  };
+}
@@ -0,0 +1,344 @@
+import { extractFeinCandidates } from "./fein.js";
+import { extractDateMentions } from "./dates.js";
+/**
+ * shared/integrity.js
+ * ===================
+ * Looks at an uploaded PDF itself – not at what it says – for signs that
+ * it was edited after it was issued.  Runs before the document rules; the
+ * result is the response's `integrity` section, and a suspicious file is
+ * sent to human review rather than passed.
+ *
+ * Indicators (one finding each, `checkType: "integrity"`, warning severity):
+ * • pdf-editing-software       – the producer / creator is a PDF or image
+ *                                editor rather than the issuing system.
+ * • pdf-modified-after-creation – the modification date is later than the
+ *                                creation date (beyond a short grace period).
+ * • pdf-incremental-updates    – content was appended to the file after it
+ *                                was first saved (extra revisions).  The
+ *                                revision each digital signature adds is
+ *                                not counted.
+ * • pdf-font-mismatch          – a key field (organization name, FEIN,
+ *                                date) uses a font found nowhere else in
+ *                                the document while the rest of its line
+ *                                uses another: text pasted over the original.
+ * • pdf-text-layer-mismatch    – the PDF's text layer disagrees with what
+ *                                OCR reads on the rendered page (hidden or
+ *                                overlaid text).  Needs an OCR provider; the
+ *                                local provider reads the text layer itself.
+ *
+ * Other file types are not inspected (`checked: false`).
+ */
+
+// Producers / creators that indicate the file went through an editor
+const EDITING_SOFTWARE_PATTERNS = [
+  /photoshop/i,
+  /\bgimp\b/i,
+  /illustrator/i,
+  /inkscape/i,
+  /phantompdf|foxit pdf editor/i,
+  /pdf-xchange editor/i,
+  /pdfelement/i,
+  /nitro pro/i,
+  /pdfescape/i,
+  /sejda/i,
+  /smallpdf/i,
+  /ilovepdf/i,
+  /libreoffice draw/i
+];
+
+// Saving a freshly generated file can bump its modification time slightly
+const MODIFICATION_GRACE_MINUTES = 60;
+
+// Share of text-layer words OCR must also read for the layers to agree,
+// and the fewest words worth comparing
+const TEXT_LAYER_MIN_AGREEMENT = 0.6;
+const TEXT_LAYER_MIN_WORDS = 20;
+
+/**
+ * Lower-cased file extension without the dot ("" when absent).
+ *
+ * @param {string} fileName
+ * @returns {string}
+ */
+function getExtension(fileName) {
+  const match = /\.([^.]+)$/.exec(fileName || '');
+  return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * Builds an integrity finding.
+ *
+ * @param {string} code
+ * @param {'pass'|'fail'|'skipped'} status
+ * @param {{description:string, message:string, suggestedAction:string}} texts
+ * @param {Object} [details]
+ * @returns {Object} A finding in the rule engine's shape.
+ */
+function integrityFinding(code, status, { description, message, suggestedAction }, details) {
+  return {
+    code,
+    checkType: 'integrity',
+    severity: 'warning',
+    status,
+    description,
+    message,
+    ...(status === 'fail' ? { suggestedAction } : {}),
+    evidence: null,
+    ...(details ? { details } : {}),
+    confidence: status === 'skipped' ? null : 1
+  };
+}
+
+/**
+ * Reads the text layer of every page, remembering the font of each text
+ * run and where it sits in the joined text.  Runs of blanks are left out:
+ * their font is invisible.
+ *
+ * @param {Object} pdf pdfjs document.
+ * @returns {Promise<{text:string, runs:Array<{font:string, start:number, end:number}>}>}
+ */
+async function readTextLayer(pdf) {
+  let text = '';
+  const runs = [];
+  for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+    const page = await pdf.getPage(pageNumber);
+    const { items } = await page.getTextContent();
+    for (const item of items) {
+      if (item.str.trim()) {
+        runs.push({ font: item.fontName, start: text.length, end: text.length + item.str.length });
+      }
+      text += item.str;
+      if (item.hasEOL) text += '\n';
+    }
+    text += '\n';
+  }
+  return { text, runs };
+}
+
+/**
+ * Counts the revisions a PDF was saved in.  Each save ends with "%%EOF";
+ * a linearized ("fast web view") file has one extra marker by design.
+ * Each digital signature has its own /ByteRange.
+ *
+ * @param {Buffer} buffer
+ * @returns {{revisions:number, signatures:number}}
+ */
+function countRevisions(buffer) {
+  const raw = buffer.toString('latin1');
+  const markers = (raw.match(/%%EOF/g) || []).length;
+  const linearized = raw.slice(0, 1024).includes('/Linearized');
+  return {
+    revisions: Math.max(1, markers - (linearized && markers > 1 ? 1 : 0)),
+    signatures: (raw.match(/\/ByteRange\s*\[/g) || []).length
+  };
+}
+
+/**
+ * Key fields of the text layer – the organization name entered on the
+ * form, FEINs and dates – with their positions.
+ *
+ * @param {string} text
+ * @param {string} [organizationName]
+ * @returns {Array<{text:string, start:number, end:number}>}
+ */
+function findKeyFields(text, organizationName) {
+  const fields = [];
+  const name = (organizationName || '').trim();
+  if (name) {
+    const offset = text.toLowerCase().indexOf(name.toLowerCase());
+    if (offset !== -1) fields.push({ text: text.substr(offset, name.length), start: offset, end: offset + name.length });
+  }
+  for (const candidate of extractFeinCandidates(text)) {
+    if (candidate.offset >= 0) fields.push({ text: candidate.text, start: candidate.offset, end: candidate.offset + candidate.text.length });
+  }
+  for (const mention of extractDateMentions(text)) {
+    if (mention.offset >= 0) fields.push({ text: mention.text, start: mention.offset, end: mention.offset + mention.text.length });
+  }
+  return fields;
+}
+
+/**
+ * Key fields set in a font that appears nowhere else in the document while
+ * other text on the same line uses a different font.
+ *
+ * @param {{text:string, runs:Array<{font:string, start:number, end:number}>}} textLayer
+ * @param {Array<{text:string, start:number, end:number}>} fields
+ * @returns {Array<{field:string, font:string}>}
+ */
+function findFontMismatches({ text, runs }, fields) {
+  const charactersByFont = new Map();
+  for (const run of runs) {
+    charactersByFont.set(run.font, (charactersByFont.get(run.font) || 0) + run.end - run.start);
+  }
+  if (charactersByFont.size < 2) return [];
+
+  const mismatches = [];
+  for (const field of fields) {
+    const fieldRuns = runs.filter(run => run.start < field.end && run.end > field.start);
+    const lineStart = text.lastIndexOf('\n', field.start) + 1;
+    const lineEnd = text.indexOf('\n', field.end) === -1 ? text.length : text.indexOf('\n', field.end);
+
+    for (const font of new Set(fieldRuns.map(run => run.font))) {
+      const inField = fieldRuns
+        .filter(run => run.font === font)
+        .reduce((sum, run) => sum + run.end - run.start, 0);
+      if (charactersByFont.get(font) > inField) continue;
+
+      const lineHasOtherFont = runs.some(run =>
+        run.start < lineEnd && run.end > lineStart && run.font !== font && !fieldRuns.includes(run)
+      );
+      if (lineHasOtherFont && !mismatches.some(mismatch => mismatch.field === field.text)) {
+        mismatches.push({ field: field.text, font });
+      }
+    }
+  }
+  return mismatches;
+}
+
+/**
+ * Compares the PDF's text layer with the text OCR read on the page.
+ *
+ * @param {string} textLayer
+ * @param {string} ocrContent
+ * @returns {{agreement:number, words:number, onlyInTextLayer:string[], onlyInOcr:string[]}|null}
+ *   Null when the text layer has too few words to compare.
+ */
+function compareTextLayers(textLayer, ocrContent) {
+  const words = (text) => new Set((text.toLowerCase().match(/[a-z0-9]{3,}/g) || []));
+  const layerWords = words(textLayer);
+  if (layerWords.size < TEXT_LAYER_MIN_WORDS) return null;
+
+  const ocrWords = words(ocrContent);
+  const shared = [...layerWords].filter(word => ocrWords.has(word)).length;
+
+  // Identifiers present in one layer only are the strongest sign of an edit
+  const feins = (text) => new Set(extractFeinCandidates(text).map(candidate => candidate.value));
+  const layerFeins = feins(textLayer);
+  const ocrFeins = feins(ocrContent);
+
+  return {
+    agreement: Math.round((shared / layerWords.size) * 100) / 100,
+    words: layerWords.size,
+    onlyInTextLayer: [...layerFeins].filter(value => !ocrFeins.has(value)),
+    onlyInOcr: [...ocrFeins].filter(value => !layerFeins.has(value))
+  };
+}
+
+/**
+ * Inspects a PDF for signs of editing.
+ *
+ * @param {Buffer} buffer
+ * @param {{content:string, providerName:string, formFields:Object}} analysis
+ * @returns {Promise<Object>} The integrity section, see `analyzeIntegrity`.
+ */
+async function inspectPdf(buffer, { content, providerName, formFields }) {
+  // pdfjs-dist v3 ships its Node build as CommonJS, exposed as the default export
+  const { default: { getDocument, PDFDateString } } = await import("pdfjs-dist/legacy/build/pdf.js");
+  const pdf = await getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    disableFontFace: true,
+    verbosity: 0
+  }).promise;
+
+  try {
+    const { info = {} } = await pdf.getMetadata();
+    const creationDate = info.CreationDate ? PDFDateString.toDateObject(info.CreationDate) : null;
+    const modificationDate = info.ModDate ? PDFDateString.toDateObject(info.ModDate) : null;
+    const { revisions, signatures } = countRevisions(buffer);
+    const digitallySigned = signatures > 0;
+    const textLayer = await readTextLayer(pdf);
+    const findings = [];
+
+    const software = [info.Producer, info.Creator].filter(Boolean);
+    const editor = software.find(name => EDITING_SOFTWARE_PATTERNS.some(pattern => pattern.test(name)));
+    findings.push(integrityFinding('pdf-editing-software', editor ? 'fail' : 'pass', {
+      description: "Produced by the issuing system",
+      message: `The PDF was produced with editing software (${editor})`,
+      suggestedAction: "Obtain the certificate directly from the issuing agency"
+    }, { producer: info.Producer || null, creator: info.Creator || null }));
+
+    const modifiedLater = creationDate && modificationDate &&
+      modificationDate.getTime() - creationDate.getTime() > MODIFICATION_GRACE_MINUTES * 60 * 1000;
+    findings.push(integrityFinding('pdf-modified-after-creation', !creationDate || !modificationDate ? 'skipped' : modifiedLater ? 'fail' : 'pass', {
+      description: "Not modified after it was created",
+      message: "The PDF was modified after it was created",
+      suggestedAction: "Compare the document with a copy obtained from the issuing agency"
+    }, {
+      creationDate: creationDate ? creationDate.toISOString() : null,
+      modificationDate: modificationDate ? modificationDate.toISOString() : null
+    }));
+
+    // Each signing saves the file once more: those revisions are signatures, not edits
+    const updates = Math.max(0, revisions - 1 - signatures);
+    findings.push(integrityFinding('pdf-incremental-updates', updates > 0 ? 'fail' : 'pass', {
+      description: "Saved once, without later updates",
+      message: `The PDF was updated ${updates} time(s) after it was first saved`,
+      suggestedAction: "Compare the document with a copy obtained from the issuing agency"
+    }, { revisions, signatures }));
+
+    const mismatches = findFontMismatches(textLayer, findKeyFields(textLayer.text, formFields.organizationName));
+    findings.push(integrityFinding('pdf-font-mismatch', !textLayer.text.trim() ? 'skipped' : mismatches.length > 0 ? 'fail' : 'pass', {
+      description: "Key fields use the document's own fonts",
+      message: `Key fields are set in a font used nowhere else in the document: ${mismatches.map(mismatch => `"${mismatch.field}"`).join(', ')}`,
+      suggestedAction: "Check the highlighted fields against a copy obtained from the issuing agency"
+    }, { fields: mismatches }));
+
+    // The local provider's content is the text layer itself, so there is nothing to compare
+    const comparison = providerName === 'local' ? null : compareTextLayers(textLayer.text, content);
+    const layersDisagree = comparison &&
+      (comparison.agreement < TEXT_LAYER_MIN_AGREEMENT || comparison.onlyInTextLayer.length > 0 || comparison.onlyInOcr.length > 0);
+    findings.push(integrityFinding('pdf-text-layer-mismatch', !comparison ? 'skipped' : layersDisagree ? 'fail' : 'pass', {
+      description: "Text layer matches the visible page",
+      message: "The PDF's text layer does not match the text visible on the page",
+      suggestedAction: "Review the document for hidden or overlaid text"
+    }, comparison || undefined));
+
+    return {
+      checked: true,
+      suspicious: findings.some(finding => finding.status === 'fail'),
+      metadata: {
+        producer: info.Producer || null,
+        creator: info.Creator || null,
+        creationDate: creationDate ? creationDate.toISOString() : null,
+        modificationDate: modificationDate ? modificationDate.toISOString() : null
+      },
+      revisions,
+      digitallySigned,
+      findings
+    };
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+/**
+ * Runs the integrity checks on an upload.
+ *
+ * @param {{data:Buffer, type:string, name:string}} file
+ * @param {{content:string, providerName:string, formFields:Object}} analysis
+ *   The provider's text (compared with the PDF's text layer) and the form.
+ * @returns {Promise<{checked:boolean, suspicious:boolean, reason?:string, metadata:Object|null, revisions:number|null, digitallySigned:boolean, findings:Object[]}>}
+ */
+export async function analyzeIntegrity(file, analysis) {
+  const notChecked = (reason) => ({
+    checked: false,
+    suspicious: false,
+    reason,
+    metadata: null,
+    revisions: null,
+    digitallySigned: false,
+    findings: []
+  });
+
+  const type = (file.type || '').toLowerCase();
+  if (type !== 'application/pdf' && getExtension(file.name) !== 'pdf') {
+    return notChecked("Integrity checks apply to PDF files only");
+  }
+
+  try {
+    return await inspectPdf(Buffer.from(file.data), analysis);
+  } catch (error) {
+    return notChecked(`The PDF could not be inspected: ${error.message}`);
+  }
+}
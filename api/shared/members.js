@@ -0,0 +1,288 @@
+import { findSignatureBlocks } from "./signatures.js";
+/**
+ * shared/members.js
+ * =================
+ * Reads the member roster of an LLC operating agreement for the
+ * `memberRoster`, `ownershipTotal` and `memberSignatures` rule checks:
+ * who the members and managers are, what share of the company each owns
+ * and whether each member has a signature block.
+ *
+ * Members come from, in order of preference:
+ * • tables      – a membership table (Azure only): a member / name column
+ *                 with an ownership percentage column or a member / owner
+ *                 header, and optionally a title column.
+ * • ownership   – lines naming a person or company next to a percentage
+ *                 ("Jane Doe ........ 50%", "John Smith – 50.0% interest"),
+ *                 read only inside a members section ("Schedule A –
+ *                 Members", "Article IV – Membership Interests", …).
+ *                 Rates and vote thresholds are not ownership.
+ * • labels      – "Members: Jane Doe and John Smith" / "Manager: …" lines
+ *                 and "… is designated as the Manager" sentences.
+ *
+ * A member's signature block is a signature line (see signatures.js) with
+ * the member's name printed next to it; a signature mark in the block
+ * means it was signed.
+ */
+
+// Line holding a share of the company: the text before the percentage names the member
+const PERCENTAGE_PATTERN = /(\d{1,3}(?:\.\d+)?)\s*(?:%|percent\b)/i;
+
+// Percentages that are not a share of the company: rates, vote and consent thresholds
+const NON_OWNERSHIP_PATTERN = /\b(?:rate|per\s+annum|votes?|voting|majority|quorum|consent|approv\w*)\b/i;
+
+// Heading that opens the member list, and the lines that close it
+const MEMBERS_SECTION_PATTERN = /^(?:(?:schedule|exhibit|article|section)\s+[\w.]+\s*[-–:.]?\s*)?(?:members?|membership(?:\s+interests?)?|ownership(?:\s+interests?)?|members?\s+and\s+(?:their\s+)?(?:percentage|ownership|membership)\s+interests?)\s*:?$|^schedule\s+a\b/i;
+const SECTION_END_PATTERN = /^(?:article|section|schedule|exhibit)\b|\bin\s+witness\s+whereof\b/i;
+// Lines read after the members heading at most
+const MEMBERS_SECTION_WINDOW = 15;
+
+// A person or company name at the start of a line: capitalised words.  A
+// period ends the name unless it follows an initial or an abbreviation
+// ("John Q. Smith", "Acme Co.", "L.L.C."), so a sentence cannot run into it;
+// ", LLC" / ", Inc." after a company name belongs to it.
+const ENTITY_SUFFIX = "(?:L\\.L\\.C\\.|LLC|L\\.?L\\.?P\\.?|L\\.?P\\.?|Inc\\.?|Corp\\.?|Ltd\\.?)(?![A-Za-z])";
+const NAME_WORD = "(?:(?:[A-Z]\\.){2,}|[A-Z]\\.|(?:Inc|Co|Corp|Ltd|Jr|Sr|Dr|Mr|Mrs|Ms|St)\\.|[A-Z][A-Za-z'’-]*)";
+const LEADING_NAME_PATTERN = new RegExp(`^(?:\\d+[.)]\\s*)?((?:${NAME_WORD}|&)(?:[ \\t]+(?:${NAME_WORD}|&|and|of|de|van|von|la))*(?:,[ \\t]*${ENTITY_SUFFIX})?)`);
+
+const MEMBER_LABEL_PATTERN = /^\s*(members?|managers?|managing\s+members?)\s*[:–-]\s*(.+)$/i;
+const DESIGNATED_MANAGER_PATTERN = /\b([A-Z][A-Za-z.'’-]*(?:[ \t]+[A-Z][A-Za-z.'’-]*){1,4})\s*,?\s+(?:is|shall\s+be)\s+(?:hereby\s+)?(?:appointed|designated|named)\s+(?:as\s+)?(?:the\s+)?(?:sole\s+|initial\s+)?[Mm]anager\b/g;
+
+// Capitalised words that start sentences and headings rather than names
+const NON_NAME_WORDS = new Set([
+  'the', 'each', 'any', 'all', 'no', 'such', 'a', 'an', 'in', 'if', 'upon', 'section', 'article', 'schedule', 'exhibit',
+  'total', 'member', 'members', 'manager', 'managers', 'name', 'names', 'percentage', 'percent', 'company', 'interest',
+  'ownership', 'capital', 'contribution', 'contributions', 'units', 'date', 'initial', 'address', 'board', 'director',
+  'directors', 'trustee', 'trustees', 'incorporator', 'incorporators', 'registered', 'agent', 'office', 'corporation',
+  'shares', 'stock', 'by', 'signature'
+]);
+
+const ENTITY_SUFFIX_PATTERN = /\b(?:LLC|L\.L\.C\.|INC|CORP|CORPORATION|COMPANY|LP|LLP|TRUST)\.?$/i;
+
+// Header cells identifying the columns of a membership table
+const NAME_HEADER_PATTERN = /\b(?:members?|names?|owners?|holders?)\b/i;
+const MEMBER_HEADER_PATTERN = /\b(?:members?|owners?)\b/i;
+const PERCENT_HEADER_PATTERN = /%|percent|ownership|interest/i;
+const ROLE_HEADER_PATTERN = /\b(?:title|role|position|capacity)\b/i;
+
+// Certainty of a signature block that has no signature mark in it
+const UNSIGNED_BLOCK_CERTAINTY = 0.75;
+
+/**
+ * Comparable form of a person or company name: lower-case words, no
+ * punctuation.
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizePersonName(name) {
+  return name.toLowerCase().replace(/[^a-z0-9& ]+/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Cleans a name candidate, or returns null when it does not look like a
+ * person or company: one word that is not a company, or a sentence or
+ * heading word.  Shared with incorporation.js for directors and
+ * incorporators.
+ *
+ * @param {string} text
+ * @returns {string|null}
+ */
+export function cleanPersonName(text) {
+  const name = text.replace(/^[\s,;:–-]+|[\s,;:–-]+$/g, '').replace(/(?<!\b(?:[A-Z]|Inc|Co|Corp|Ltd|Jr|Sr))\.+$/, '').replace(/\s+/g, ' ');
+  const words = name.split(' ');
+  if (!name || NON_NAME_WORDS.has(words[0].toLowerCase())) return null;
+  if (words.length < 2 && !ENTITY_SUFFIX_PATTERN.test(name)) return null;
+  if (words.length > 6) return null;
+  return name;
+}
+
+/**
+ * Reads the person or company named at the start of a line ("Jane Doe,
+ * 12 Main Street" / "Jane Doe ........ 60%").
+ *
+ * @param {string} line
+ * @returns {{name:string, rest:string}|null} `rest` is the text after the name.
+ */
+export function readLeadingName(line) {
+  const text = line.trim();
+  const match = text.match(LEADING_NAME_PATTERN);
+  const name = match ? cleanPersonName(match[1]) : null;
+  if (!name) return null;
+  return { name, rest: text.slice(text.indexOf(name) + name.length).replace(/^[\s,;:–.-]+/, '') };
+}
+
+/**
+ * Reads members from membership tables.
+ *
+ * @param {Array<{cells:Array<{rowIndex:number, columnIndex:number, content:string, kind?:string}>}>} tables
+ * @returns {Array<{name:string, roles:string[], ownershipPercent:number|null, source:string, offset:number}>}
+ */
+function membersFromTables(tables) {
+  const members = [];
+  for (const table of tables) {
+    const cells = table.cells || [];
+    const headers = cells.filter(cell => cell.kind === 'columnHeader' || cell.rowIndex === 0);
+    const column = (pattern) => {
+      const header = headers.find(cell => pattern.test(cell.content || ''));
+      return header ? header.columnIndex : null;
+    };
+    const nameColumn = column(NAME_HEADER_PATTERN);
+    if (nameColumn === null) continue;
+    const percentColumn = column(PERCENT_HEADER_PATTERN);
+    // A plain "Name" column is only a membership table next to a share of the company
+    if (percentColumn === null && !headers.some(cell => MEMBER_HEADER_PATTERN.test(cell.content || ''))) continue;
+    const roleColumn = column(ROLE_HEADER_PATTERN);
+    const headerRows = new Set(headers.map(cell => cell.rowIndex));
+
+    const rows = new Map();
+    for (const cell of cells) {
+      if (headerRows.has(cell.rowIndex)) continue;
+      if (!rows.has(cell.rowIndex)) rows.set(cell.rowIndex, {});
+      rows.get(cell.rowIndex)[cell.columnIndex] = cell;
+    }
+
+    for (const row of rows.values()) {
+      const nameCell = row[nameColumn];
+      if (!nameCell || !nameCell.content || /^total\b/i.test(nameCell.content.trim())) continue;
+      const name = cleanPersonName(nameCell.content.split('\n')[0]);
+      if (!name) continue;
+      const percentText = percentColumn !== null && row[percentColumn] ? row[percentColumn].content : '';
+      const percent = parseFloat((percentText || '').replace(/[^\d.]/g, ''));
+      const roleText = roleColumn !== null && row[roleColumn] ? row[roleColumn].content : '';
+      members.push({
+        name,
+        roles: /manag/i.test(roleText) ? ['member', 'manager'] : ['member'],
+        ownershipPercent: Number.isFinite(percent) && percent <= 100 ? percent : null,
+        source: 'table',
+        offset: nameCell.spans && nameCell.spans[0] ? nameCell.spans[0].offset : -1
+      });
+    }
+  }
+  return members;
+}
+
+/**
+ * Reads members and managers from the text.
+ *
+ * @param {string} content
+ * @returns {Array<{name:string, roles:string[], ownershipPercent:number|null, source:string, offset:number}>}
+ */
+function membersFromText(content) {
+  const members = [];
+  let offset = 0;
+  // Lines left in the members section; ownership lines are only read there
+  let sectionLines = 0;
+
+  for (const line of content.split('\n')) {
+    const heading = line.trim();
+    if (MEMBERS_SECTION_PATTERN.test(heading)) {
+      sectionLines = MEMBERS_SECTION_WINDOW + 1;
+    } else if (SECTION_END_PATTERN.test(heading)) {
+      sectionLines = 0;
+    }
+    if (sectionLines > 0) sectionLines--;
+
+    const percentMatch = sectionLines > 0 && !NON_OWNERSHIP_PATTERN.test(line) ? line.match(PERCENTAGE_PATTERN) : null;
+    const leading = percentMatch ? readLeadingName(line) : null;
+    if (leading && parseFloat(percentMatch[1]) <= 100) {
+      const { name } = leading;
+      members.push({ name, roles: ['member'], ownershipPercent: parseFloat(percentMatch[1]), source: 'ownership', offset: offset + line.indexOf(name) });
+    }
+
+    const labelMatch = line.match(MEMBER_LABEL_PATTERN);
+    if (labelMatch) {
+      const label = labelMatch[1].toLowerCase();
+      const roles = label.startsWith('managing') ? ['member', 'manager'] : label.startsWith('manager') ? ['manager'] : ['member'];
+      for (const part of labelMatch[2].split(/,|;|\band\b|&/)) {
+        const name = cleanPersonName(part);
+        if (name) members.push({ name, roles, ownershipPercent: null, source: 'label', offset: offset + line.indexOf(name) });
+      }
+    }
+
+    offset += line.length + 1;
+  }
+
+  for (const match of content.matchAll(DESIGNATED_MANAGER_PATTERN)) {
+    const name = cleanPersonName(match[1]);
+    if (name) members.push({ name, roles: ['manager'], ownershipPercent: null, source: 'label', offset: match.index });
+  }
+
+  return members;
+}
+
+/**
+ * Finds the signature block printed for a member, and the strongest
+ * signature mark inside it.
+ *
+ * @param {string} name
+ * @param {Array<{offset:number, length:number, text:string}>} blocks
+ * @param {Array<{method:string, offset:number, certainty:number}>} marks
+ * @returns {{method:string|null, text:string, offset:number, certainty:number}|null}
+ */
+function findMemberSignature(name, blocks, marks) {
+  const words = normalizePersonName(name).split(' ');
+  const block = blocks.find(candidate => {
+    const blockWords = normalizePersonName(candidate.text).split(' ');
+    return words.every(word => blockWords.includes(word));
+  });
+  if (!block) return null;
+
+  const mark = marks.find(candidate => candidate.offset >= block.offset && candidate.offset < block.offset + block.length);
+  return {
+    method: mark ? mark.method : null,
+    text: block.text.trim(),
+    offset: block.offset + block.text.indexOf(block.text.trim()),
+    certainty: mark ? mark.certainty : UNSIGNED_BLOCK_CERTAINTY
+  };
+}
+
+/**
+ * Reads the member roster of an operating agreement.
+ *
+ * @param {Object} analysis
+ * @param {string} analysis.content
+ * @param {Array}  [analysis.tables]         Tables from the analysis provider.
+ * @param {Array}  [analysis.signatureMarks] From `detectSignatures`.
+ * @returns {{members:Array<{name:string, roles:string[], ownershipPercent:number|null, source:string, offset:number,
+ *   signature:{method:string|null, text:string, offset:number, certainty:number}|null}>,
+ *   management:'member-managed'|'manager-managed'|null, ownershipTotal:number|null}}
+ *   Managers who are not members are listed with roles ["manager"];
+ *   `ownershipTotal` sums the stated percentages (null when none are).
+ */
+export function extractMemberRoster({ content, tables = [], signatureMarks = [] }) {
+  const roster = new Map();
+  for (const found of [...membersFromTables(tables), ...membersFromText(content || '')]) {
+    const key = normalizePersonName(found.name);
+    const existing = roster.get(key);
+    if (!existing) {
+      roster.set(key, { ...found, roles: [...found.roles] });
+      continue;
+    }
+    for (const role of found.roles) {
+      if (!existing.roles.includes(role)) existing.roles.push(role);
+    }
+    if (existing.ownershipPercent === null && found.ownershipPercent !== null) existing.ownershipPercent = found.ownershipPercent;
+  }
+
+  const blocks = findSignatureBlocks(content || '');
+  const members = [...roster.values()].map(member => ({
+    ...member,
+    roles: member.roles.sort(),
+    signature: findMemberSignature(member.name, blocks, signatureMarks)
+  }));
+
+  const percentages = members.map(member => member.ownershipPercent).filter(percent => percent !== null);
+  const contentLower = (content || '').toLowerCase();
+  let management = null;
+  if (/\bmanager[- ]managed\b|\bmanaged\s+by\s+(?:one\s+or\s+more\s+|a\s+|its\s+|the\s+)?managers?\b/.test(contentLower)) {
+    management = 'manager-managed';
+  } else if (/\bmember[- ]managed\b|\bmanaged\s+by\s+(?:its\s+|the\s+)?members\b/.test(contentLower)) {
+    management = 'member-managed';
+  }
+
+  return {
+    members,
+    management,
+    ownershipTotal: percentages.length > 0 ? Math.round(percentages.reduce((sum, percent) => sum + percent, 0) * 100) / 100 : null
+  };
+}
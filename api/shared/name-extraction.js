@@ -0,0 +1,324 @@
+import { normalizeOrganizationName } from "./organization-names.js";
+/**
+ * shared/name-extraction.js
+ * =========================
+ * Finds the organization names a document may be about and ranks them, so
+ * name checks can consider every plausible name instead of trusting one
+ * line picked by position.
+ *
+ * Candidates come from the document type's `nameExtraction` strategies
+ * (see rule-engine.js) and from the analysis provider's entity
+ * recognition:
+ * • anchorLine – every eligible line near an anchor (linesBefore /
+ *                linesAfter).  The line the scan settles on (the
+ *                `stopWhen` line, else the last eligible one) is
+ *                preferred; lines that look like addresses, "ATTN" /
+ *                "c/o" lines or labelled values ("Date Issued: …") are
+ *                pushed down rather than dropped.
+ * • pattern    – capture group 1 of every matching `patterns` regex.
+ * • nameArticle – the name stated by a name article ("The name of the
+ *                 corporation is …", "Name of Corporation: …"); see
+ *                 `readNameArticle`.
+ * • keyValue   – every K/V pair whose key matches, unless its value is an
+ *                identifier (digits, or one token holding digits).
+ * • entity     – "Organization" entities recognised by Azure (none with the
+ *                local provider).
+ * • owner      – the owners a Certificate of Trade Name lists (see
+ *                trade-names.js), so the legal name may match any of them.
+ *
+ * Candidates naming the same organization (see `normalizeOrganizationName`)
+ * are merged; agreement between sources raises the confidence.
+ */
+
+export const NAME_STRATEGY_TYPES = ['linesBefore', 'linesAfter', 'pattern', 'nameArticle', 'keyValue'];
+
+// Starting confidence of each source
+const SOURCE_CONFIDENCE = {
+  anchorLine: 0.5,
+  pattern: 0.8,
+  nameArticle: 0.8,
+  keyValue: 0.75,
+  entity: 0.6,
+  owner: 0.8
+};
+
+// Adjustments for anchor lines
+const SETTLED_LINE_BONUS = 0.2;
+const ENTITY_SUFFIX_BONUS = 0.2;
+const ADDRESS_PENALTY = 0.35;
+const ATTENTION_PENALTY = 0.45;
+const LABEL_PENALTY = 0.35;
+
+// Added per additional source agreeing on a name
+const AGREEMENT_BONUS = 0.1;
+
+const ENTITY_SUFFIX_PATTERN = /\b(?:L\.?L\.?C|INC|CORP|CORPORATION|COMPANY|CO|L\.?P|L\.?L\.?P|P\.?C|P\.?A|INCORPORATED|FOUNDATION|ASSOCIATION)\b\.?$/i;
+const ADDRESS_PATTERN = /^\d+\s+\S+|\b(?:street|st|avenue|ave|road|rd|suite|ste|boulevard|blvd|drive|dr|lane|ln|floor|fl|highway|hwy|p\.?\s?o\.?\s+box)\b\.?(?:\s|,|$)|,?\s+[A-Z]{2}\s+\d{5}(?:-\d{4})?$/i;
+const ATTENTION_PATTERN = /^(?:attn|attention|c\/o|care\s+of)\b/i;
+// "Date Issued: 09/01/2026" – a labelled field rather than a name
+const LABEL_PATTERN = /^[^:]{2,30}:\s*\S*\d/;
+// "0450123456", "AB-123456" – an ID number rather than a name
+const IDENTIFIER_PATTERN = /^(?:[^A-Za-z]+|\S*\d\S*)$/;
+
+// A name ending in an abbreviation or an initial ("Inc.", "Co.", "L.L.C.")
+// keeps its period
+const ABBREVIATION_END_PATTERN = /(?:\b(?:Inc|Corp|Co|Ltd|Jr|Sr)|\b[A-Z])\.$/;
+// …unless a new sentence follows: a capitalised word, then a lower-case one
+// ("Acme Co. The corporation is formed …")
+const SENTENCE_START_PATTERN = /^\s+[A-Z][a-z]*\s+[a-z]/;
+
+/**
+ * Cuts the name off the sentence that states it: at the closing quote, or
+ * at the first period that ends the sentence rather than an abbreviation.
+ *
+ * @param {string} text The rest of the line after "… is".
+ * @returns {string}
+ */
+function sentenceName(text) {
+  const quoted = text.match(/^\s*["“]([^"”]+)["”]/);
+  if (quoted) return quoted[1].trim();
+
+  for (let index = text.indexOf('.'); index !== -1; index = text.indexOf('.', index + 1)) {
+    const rest = text.slice(index + 1);
+    // "L.L.C", "No.5" – the period is inside a word
+    if (rest && !/^\s/.test(rest)) continue;
+    const name = text.slice(0, index + 1);
+    if (!ABBREVIATION_END_PATTERN.test(name)) return name.slice(0, -1).trim();
+    if (!rest.trim() || SENTENCE_START_PATTERN.test(rest)) return name.trim();
+  }
+  return text.trim();
+}
+
+/**
+ * Reads the name stated by a name article: "The name of the corporation is
+ * Acme Widgets, Inc." or "Name of Corporation: Acme Widgets, Inc.".  Shared
+ * by the `nameArticle` strategy and incorporation.js.
+ *
+ * @param {string} content
+ * @param {string[]} [subjects] What the name is of ("corporation",
+ *                              "association", …).
+ * @returns {{name:string, offset:number}|null}
+ */
+export function readNameArticle(content, subjects = ['corporation']) {
+  const subject = subjects.join('|');
+  const forms = [
+    { pattern: new RegExp(`\\bname\\s+of\\s+(?:the|this)\\s+(?:${subject})\\s+(?:is|shall\\s+be)\\s*:?[ \\t]*`, 'i'), sentence: true },
+    { pattern: new RegExp(`\\bname\\s+of\\s+(?:the\\s+)?(?:${subject})\\s*:[ \\t]*`, 'i'), sentence: false }
+  ];
+
+  for (const { pattern, sentence } of forms) {
+    const match = content.match(pattern);
+    if (!match) continue;
+    const start = match.index + match[0].length;
+    const lineEnd = content.indexOf('\n', start);
+    const line = content.slice(start, lineEnd === -1 ? content.length : lineEnd).trimEnd();
+    const name = sentence ? sentenceName(line) : line.trim();
+    if (name) return { name, offset: content.indexOf(name, start) };
+  }
+  return null;
+}
+
+/**
+ * Compiles regex sources (already validated with the rule file).
+ *
+ * @param {string[]|undefined} sources
+ * @returns {RegExp[]}
+ */
+function compile(sources) {
+  return (sources || []).map(source => new RegExp(source, 'i'));
+}
+
+/**
+ * The eligible lines of a scan window, each with its offset and whether the
+ * scan settles on it.  Mirrors the hand-written validators: the last
+ * eligible line wins unless a `stopWhen` line is found first.
+ *
+ * @param {Array<{text:string, offset:number}>} lines
+ * @param {Object} strategy
+ * @returns {Array<{text:string, offset:number, settled:boolean}>}
+ */
+function eligibleLines(lines, strategy) {
+  const skipPatterns = compile(strategy.skipPatterns);
+  const skipPhrases = strategy.skipPhrases || [];
+  const stopWhen = strategy.stopWhen || [];
+  const eligible = [];
+
+  for (const { text, offset } of lines) {
+    const line = text.trim();
+    // Skip empty lines or lines with less than 3 characters
+    if (!line || line.length <= 3 || !/[a-z]/i.test(line)) continue;
+    // Skip lines that have typical headers or metadata
+    if (skipPatterns.some(pattern => pattern.test(line))) continue;
+    if (skipPhrases.some(phrase => line.toLowerCase().includes(phrase))) continue;
+
+    eligible.push({ text: line, offset: offset + text.indexOf(line), settled: false });
+    const isAllCaps = line === line.toUpperCase() && line.length > 5;
+    const hasEntitySuffix = /LLC|INC|CORP|CORPORATION|COMPANY|LP|LLP/i.test(line);
+    if ((stopWhen.includes('allCaps') && isAllCaps) ||
+        (stopWhen.includes('entitySuffix') && hasEntitySuffix)) {
+      break;  // We're confident this is the org name
+    }
+  }
+
+  if (eligible.length > 0) eligible[eligible.length - 1].settled = true;
+  return eligible;
+}
+
+/**
+ * Splits content into lines, keeping each line's offset.
+ *
+ * @param {string} content
+ * @returns {Array<{text:string, offset:number}>}
+ */
+function contentLines(content) {
+  const lines = [];
+  let offset = 0;
+  for (const text of content.split('\n')) {
+    lines.push({ text, offset });
+    offset += text.length + 1;
+  }
+  return lines;
+}
+
+/**
+ * Confidence of a line found near an anchor.
+ *
+ * @param {{text:string, settled:boolean}} line
+ * @returns {number}
+ */
+function scoreAnchorLine({ text, settled }) {
+  let confidence = SOURCE_CONFIDENCE.anchorLine;
+  if (settled) confidence += SETTLED_LINE_BONUS;
+  if (ENTITY_SUFFIX_PATTERN.test(text)) confidence += ENTITY_SUFFIX_BONUS;
+  if (ADDRESS_PATTERN.test(text)) confidence -= ADDRESS_PENALTY;
+  if (ATTENTION_PATTERN.test(text)) confidence -= ATTENTION_PENALTY;
+  if (LABEL_PATTERN.test(text)) confidence -= LABEL_PENALTY;
+  return confidence;
+}
+
+/**
+ * Runs a single name-extraction strategy.
+ *
+ * @param {Object} strategy
+ * @param {{content:string, contentLower:string, keyValuePairs:Array}} document
+ * @returns {Array<{name:string, source:string, offset:number, confidence:number}>}
+ */
+function runNameStrategy(strategy, { content, contentLower, keyValuePairs }) {
+  const window = strategy.window || 5;
+
+  switch (strategy.type) {
+    case 'linesBefore': {
+      const lines = contentLines(content);
+      const anchorIndex = lines.findIndex(({ text }) =>
+        (strategy.exactAnchors || []).some(anchor => text.includes(anchor)) ||
+        (strategy.anchors || []).some(anchor => text.toLowerCase().includes(anchor.toLowerCase()))
+      );
+      if (anchorIndex <= 0) return [];
+      return eligibleLines(lines.slice(Math.max(0, anchorIndex - window), anchorIndex), strategy)
+        .map(line => ({ name: line.text, source: 'anchorLine', offset: line.offset, confidence: scoreAnchorLine(line) }));
+    }
+    case 'linesAfter': {
+      const anchors = [
+        ...(strategy.exactAnchors || []).map(anchor => ({ index: content.indexOf(anchor), length: anchor.length })),
+        ...(strategy.anchors || []).map(anchor => ({ index: contentLower.indexOf(anchor.toLowerCase()), length: anchor.length }))
+      ];
+      const found = anchors.find(anchor => anchor.index !== -1);
+      if (!found) return [];
+      const start = found.index + found.length;
+      const lines = contentLines(content.substring(start)).map(line => ({ ...line, offset: line.offset + start }));
+      return eligibleLines(lines.slice(0, window), strategy)
+        .map(line => ({ name: line.text, source: 'anchorLine', offset: line.offset, confidence: scoreAnchorLine(line) }));
+    }
+    case 'pattern': {
+      const candidates = [];
+      for (const pattern of compile(strategy.patterns)) {
+        const match = content.match(pattern);
+        if (match && match[1] && match[1].trim().length > 0) {
+          const name = match[1].trim();
+          candidates.push({ name, source: 'pattern', offset: match.index + match[0].indexOf(name), confidence: SOURCE_CONFIDENCE.pattern });
+        }
+      }
+      return candidates;
+    }
+    case 'nameArticle': {
+      const found = readNameArticle(content, strategy.subjects);
+      return found ? [{ name: found.name, source: 'nameArticle', offset: found.offset, confidence: SOURCE_CONFIDENCE.nameArticle }] : [];
+    }
+    case 'keyValue': {
+      const keyContains = strategy.keyContains || [];
+      const keyEquals = strategy.keyEquals || [];
+      return keyValuePairs
+        .filter(pair => {
+          if (!pair.key || !pair.key.content || !pair.value || !pair.value.content) return false;
+          const key = pair.key.content.toLowerCase();
+          return (keyContains.some(fragment => key.includes(fragment)) ||
+                  keyEquals.some(value => key.trim() === value)) &&
+                 !IDENTIFIER_PATTERN.test(pair.value.content.trim());
+        })
+        .map(pair => ({
+          name: pair.value.content.trim(),
+          source: 'keyValue',
+          offset: content.indexOf(pair.value.content.trim()),
+          confidence: SOURCE_CONFIDENCE.keyValue * (typeof pair.confidence === 'number' ? pair.confidence : 1)
+        }));
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Finds and ranks the organization names on a document.
+ *
+ * @param {Object[]} strategies The document type's `nameExtraction`; a type
+ *                              without strategies yields no candidates.
+ * @param {{content:string, contentLower:string, keyValuePairs:Array, entities?:Array, owners?:Object|null}} document
+ *   `owners` is the `owners` part of a Certificate of Trade Name.
+ * @returns {Array<{name:string, source:string, sources:string[], offset:number, confidence:number}>}
+ *   Most confident first.  `source` is where the name (as given) was found,
+ *   `sources` every source that agreed on it; `offset` points into content
+ *   (-1 when the name is not in the text).
+ */
+export function extractNameCandidates(strategies, { content, contentLower, keyValuePairs, entities = [], owners = null }) {
+  if (!strategies || strategies.length === 0) return [];
+
+  const found = strategies.flatMap(strategy => runNameStrategy(strategy, { content, contentLower, keyValuePairs }));
+  for (const entity of entities) {
+    if (entity.category !== 'Organization' || !entity.content) continue;
+    found.push({
+      name: entity.content.trim(),
+      source: 'entity',
+      offset: entity.offset ?? content.indexOf(entity.content),
+      confidence: SOURCE_CONFIDENCE.entity * (typeof entity.confidence === 'number' ? entity.confidence : 1)
+    });
+  }
+  for (const name of owners ? owners.value : []) {
+    found.push({ name, source: 'owner', offset: content.indexOf(name), confidence: SOURCE_CONFIDENCE.owner });
+  }
+
+  // One candidate per organization; the most confident sighting names it
+  const merged = new Map();
+  for (const candidate of found) {
+    const key = normalizeOrganizationName(candidate.name);
+    if (!key) continue;
+    const existing = merged.get(key);
+    if (!existing) {
+      merged.set(key, { ...candidate, sources: [candidate.source], best: candidate.confidence });
+      continue;
+    }
+    if (!existing.sources.includes(candidate.source)) existing.sources.push(candidate.source);
+    if (candidate.confidence > existing.best) {
+      Object.assign(existing, { name: candidate.name, source: candidate.source, offset: candidate.offset, best: candidate.confidence });
+    }
+  }
+
+  return [...merged.values()]
+    .map(({ name, source, sources, offset, best }) => ({
+      name,
+      source,
+      sources,
+      offset,
+      confidence: Math.round(Math.min(Math.max(best + AGREEMENT_BONUS * (sources.length - 1), 0), 1) * 100) / 100
+    }))
+    .sort((a, b) => b.confidence - a.confidence);
+}
@@ -0,0 +1,296 @@
+/**
+ * shared/organization-names.js
+ * ============================
+ * Compares organisation names that come from different sources (OCR text
+ * vs. user input, two documents of one packet, a document vs. the business
+ * registry) and explains the decision.
+ *
+ * A comparison works on normalized names – lower-case, accents, punctuation
+ * and a leading "The" dropped, "&" read as "and", legal-entity
+ * abbreviations expanded (LLC → "limited liability company") – split into
+ * the *core* name and the entity type at its end.  The score is the edit
+ * similarity of the two core names after folding characters OCR confuses
+ * (0/O, 1/l/I, 5/S, 8/B, "rn"/"m", "vv"/"w"), so a misread letter costs
+ * little while a different word costs a lot.  Names stating a trade name
+ * ("Acme LLC d/b/a Acme Bakery") are compared under each of their names.
+ *
+ * Decisions ("basis"):
+ * • exact      – the core names are identical.
+ * • similar    – score at or above the match threshold.
+ * • borderline – score between the review and match thresholds: judged
+ *                different, but close enough that a person should look.
+ * • different  – score below the review threshold.
+ * • entityType – the names state incompatible entity types (an LLC is not
+ *                a corporation), whatever the score.
+ *
+ * This module has no Node-only dependencies so the front-end can import it.
+ */
+
+export const DEFAULT_MATCH_THRESHOLD = 0.85;
+export const DEFAULT_REVIEW_THRESHOLD = 0.7;
+
+// Abbreviation -> full form, applied to whole words
+const ABBREVIATIONS = {
+  'llc': 'limited liability company',
+  'inc': 'incorporated',
+  'corp': 'corporation',
+  'co': 'company',
+  'ltd': 'limited',
+  'lp': 'limited partnership',
+  'llp': 'limited liability partnership',
+  'pllc': 'professional limited liability company',
+  'pc': 'professional corporation',
+  'pa': 'professional association',
+  'plc': 'professional limited company'
+};
+
+// Entity types recognised at the end of a name, longest first, with the
+// family each belongs to.  Generic types (null family) are compatible with
+// every other type.
+const ENTITY_TYPE_FAMILIES = [
+  ['professional limited liability company', 'limited liability company'],
+  ['limited liability partnership', 'partnership'],
+  ['limited liability company', 'limited liability company'],
+  ['professional limited company', null],
+  ['professional corporation', 'corporation'],
+  ['professional association', 'corporation'],
+  ['limited partnership', 'partnership'],
+  ['incorporated', 'corporation'],
+  ['corporation', 'corporation'],
+  ['company', null],
+  ['limited', null]
+];
+
+// "Acme LLC d/b/a Acme Bakery", "Acme Inc. t/a Acme", "Acme aka Acme Co"
+const TRADE_NAME_SEPARATOR = /\s+(?:d\s*\/?\s*b\s*\/?\s*a|doing\s+business\s+as|t\s*\/\s*a|trading\s+as|a\s*\/?\s*k\s*\/?\s*a)\.?\s+/i;
+
+// Characters and pairs OCR commonly mistakes for one another, folded to one form
+const OCR_CONFUSABLES = [
+  [/rn/g, 'm'],
+  [/vv/g, 'w'],
+  [/0/g, 'o'],
+  [/[1i]/g, 'l'],
+  [/5/g, 's'],
+  [/8/g, 'b']
+];
+
+/**
+ * Normalizes an organization name: lower-case, accents and punctuation
+ * removed, "&" read as "and", a leading "The" dropped and legal-entity
+ * abbreviations expanded (e.g. LLC → "limited liability company").
+ *
+ * @param {string} name  Raw organization name as it appears in the document/user input.
+ * @returns {string}     Sanitised, comparable string.
+ */
+export function normalizeOrganizationName(name) {
+  if (!name || typeof name !== 'string') return '';
+
+  const words = name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[&+]/g, ' and ')
+    .replace(/['’.]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+
+  if (words[0] === 'the' && words.length > 1) words.shift();
+
+  return words.map(word => ABBREVIATIONS[word] || word).join(' ');
+}
+
+/**
+ * Splits a normalized name into its core and the entity type at its end.
+ *
+ * @param {string} normalized From `normalizeOrganizationName`.
+ * @returns {{core:string, entityType:string|null}}
+ */
+function splitEntityType(normalized) {
+  for (const [entityType] of ENTITY_TYPE_FAMILIES) {
+    if (normalized === entityType) return { core: '', entityType };
+    if (normalized.endsWith(` ${entityType}`)) {
+      return { core: normalized.slice(0, -entityType.length - 1), entityType };
+    }
+  }
+  return { core: normalized, entityType: null };
+}
+
+/**
+ * True when two entity types may describe the same entity: either is
+ * unknown or generic, or both belong to the same family.
+ *
+ * @param {string|null} type1
+ * @param {string|null} type2
+ * @returns {boolean}
+ */
+function entityTypesCompatible(type1, type2) {
+  if (!type1 || !type2) return true;
+  const family1 = ENTITY_TYPE_FAMILIES.find(([entityType]) => entityType === type1)[1];
+  const family2 = ENTITY_TYPE_FAMILIES.find(([entityType]) => entityType === type2)[1];
+  return !family1 || !family2 || family1 === family2;
+}
+
+/**
+ * Folds OCR-confusable characters and drops spaces, so "ACME H0LDlNGS"
+ * and "Acme Holdings" compare equal.
+ *
+ * @param {string} core
+ * @returns {string}
+ */
+function foldConfusables(core) {
+  return OCR_CONFUSABLES.reduce((folded, [pattern, replacement]) => folded.replace(pattern, replacement), core.replace(/ /g, ''));
+}
+
+/**
+ * Levenshtein edit distance.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Edit similarity of two core names in 0..1, after folding OCR confusables.
+ *
+ * @param {string} core1
+ * @param {string} core2
+ * @returns {number} 1 for identical cores, 0 when either is empty.
+ */
+function coreSimilarity(core1, core2) {
+  const folded1 = foldConfusables(core1);
+  const folded2 = foldConfusables(core2);
+  if (!folded1 || !folded2) return 0;
+  return 1 - editDistance(folded1, folded2) / Math.max(folded1.length, folded2.length);
+}
+
+/**
+ * The names an organization goes by: its legal name plus any trade names
+ * stated with "d/b/a", "t/a" or "a/k/a".
+ *
+ * @param {string} name
+ * @returns {string[]}
+ */
+function nameVariants(name) {
+  return name.split(TRADE_NAME_SEPARATOR).map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Compares two organisation names and explains the decision.
+ *
+ * @param {string} name1 First name, e.g. as entered on the form.
+ * @param {string} name2 Second name, e.g. as read from the document.
+ * @param {{matchThreshold?:number, reviewThreshold?:number}} [thresholds]
+ *   Scores at or above `matchThreshold` match; scores from
+ *   `reviewThreshold` up are borderline (defaults 0.85 / 0.7).
+ * @returns {{match:boolean, score:number, basis:'exact'|'similar'|'borderline'|'different'|'entityType', reason:string,
+ *   normalized:{first:string, second:string}, entityTypes:{first:string|null, second:string|null, compatible:boolean},
+ *   tradeName:string|null, thresholds:{match:number, review:number}}}
+ *   `normalized` and `entityTypes` describe the pair of names that decided
+ *   the comparison; `tradeName` is the d/b/a name in that pair, if any.
+ */
+export function compareOrganizationNames(name1, name2, { matchThreshold = DEFAULT_MATCH_THRESHOLD, reviewThreshold = DEFAULT_REVIEW_THRESHOLD } = {}) {
+  const thresholds = { match: matchThreshold, review: reviewThreshold };
+  if (!name1 || !name2) {
+    return {
+      match: false,
+      score: 0,
+      basis: 'different',
+      reason: 'A name is missing',
+      normalized: { first: normalizeOrganizationName(name1), second: normalizeOrganizationName(name2) },
+      entityTypes: { first: null, second: null, compatible: true },
+      tradeName: null,
+      thresholds
+    };
+  }
+
+  // Every name of one against every name of the other; the closest pair decides
+  const variants1 = nameVariants(name1);
+  const variants2 = nameVariants(name2);
+  let best = null;
+  variants1.forEach((variant1, index1) => {
+    variants2.forEach((variant2, index2) => {
+      const normalized1 = normalizeOrganizationName(variant1);
+      const normalized2 = normalizeOrganizationName(variant2);
+      const parts1 = splitEntityType(normalized1);
+      const parts2 = splitEntityType(normalized2);
+      const compatible = entityTypesCompatible(parts1.entityType, parts2.entityType);
+      const score = parts1.core && parts1.core === parts2.core ? 1 : coreSimilarity(parts1.core, parts2.core);
+      // Prefer compatible pairs, then the higher score
+      if (!best || (compatible && !best.compatible) || (compatible === best.compatible && score > best.score)) {
+        best = {
+          normalized1, normalized2, parts1, parts2, compatible, score,
+          tradeName: index1 > 0 ? variant1 : index2 > 0 ? variant2 : null
+        };
+      }
+    });
+  });
+
+  const { normalized1, normalized2, parts1, parts2, compatible, tradeName } = best;
+  const score = Math.round(best.score * 100) / 100;
+  const percent = (value) => `${Math.round(value * 100)}%`;
+
+  let basis;
+  let reason;
+  if (!compatible) {
+    basis = 'entityType';
+    reason = `The names are for different kinds of entity: ${parts1.entityType} vs ${parts2.entityType}`;
+  } else if (parts1.core && parts1.core === parts2.core) {
+    basis = 'exact';
+    reason = 'The names are the same once case, punctuation and abbreviations are ignored';
+    if (Boolean(parts1.entityType) !== Boolean(parts2.entityType)) {
+      reason += '; only one of them states the entity type';
+    }
+  } else if (score >= matchThreshold) {
+    basis = 'similar';
+    reason = score === 1
+      ? 'The names differ only in characters OCR often confuses (e.g. 0 and O)'
+      : `The names are ${percent(score)} alike; small differences such as OCR misreads are tolerated`;
+  } else if (score >= reviewThreshold) {
+    basis = 'borderline';
+    reason = `The names are ${percent(score)} alike – close, but below the ${percent(matchThreshold)} needed for a match`;
+  } else {
+    basis = 'different';
+    reason = `The names are only ${percent(score)} alike`;
+  }
+  if (tradeName) reason += ` (compared as the trade name "${tradeName}")`;
+
+  return {
+    match: basis === 'exact' || basis === 'similar',
+    score,
+    basis,
+    reason,
+    normalized: { first: normalized1, second: normalized2 },
+    entityTypes: { first: parts1.entityType, second: parts2.entityType, compatible },
+    tradeName,
+    thresholds
+  };
+}
+
+/**
+ * True when two organisation names refer to the same entity (see
+ * `compareOrganizationNames`, default thresholds).
+ *
+ * @param {string} name1 First name to compare.
+ * @param {string} name2 Second name to compare.
+ * @returns {boolean}
+ */
+export function organizationNamesMatch(name1, name2) {
+  return compareOrganizationNames(name1, name2).match;
+}
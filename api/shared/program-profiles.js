@@ -0,0 +1,99 @@
+/**
+ * shared/program-profiles.js
+ * ==========================
+ * Read-only view of the program profiles and per-type form requirements
+ * defined in the rule file (see rule-engine.js for the layout).  Each
+ * function takes the parsed rule definitions as an argument, so the
+ * module has no Node-only dependencies: the API passes
+ * `loadRuleDefinitions()`, the front-end passes what the `document-rules`
+ * endpoint returns (the bundled rule file until it has answered).
+ *
+ * • getFormRules                     – the subset of the rules the form
+ *                                      needs, served by `document-rules`.
+ * • listDocumentTypes / listPrograms – options for the selectors.
+ * • getRequiredFields                – form fields a document type needs,
+ *                                      as overridden by the program.
+ * • getRequiredDocumentTypes         – a program's packet checklist.
+ */
+
+// Form fields a rule file may mark as required, with their display labels
+export const FORM_FIELDS = {
+  organizationName: { label: 'Organization Name' },
+  fein: { label: 'FEIN' },
+  dbaName: { label: 'DBA (Trade Name)' }
+};
+
+/**
+ * The part of the rule definitions the form reads: labels, required fields
+ * and program checklists.  Checks and patterns are left out.
+ *
+ * @param {{documentTypes:Object, programs?:Object}} rules
+ * @returns {{documentTypes:Object<string, {label?:string, requiredFields?:string[]}>, programs:Object<string, {label?:string, requiredFields?:Object, requiredDocumentTypes?:string[]}>}}
+ */
+export function getFormRules(rules) {
+  return {
+    documentTypes: Object.fromEntries(Object.entries(rules.documentTypes).map(([type, definition]) => [type, {
+      label: definition.label,
+      requiredFields: definition.requiredFields
+    }])),
+    programs: Object.fromEntries(Object.entries(rules.programs || {}).map(([program, definition]) => [program, {
+      label: definition.label,
+      requiredFields: definition.requiredFields,
+      requiredDocumentTypes: definition.requiredDocumentTypes
+    }]))
+  };
+}
+
+/**
+ * Lists the document types in rule-file order.
+ *
+ * @param {{documentTypes:Object}} rules
+ * @returns {Array<{value:string, label:string}>}
+ */
+export function listDocumentTypes(rules) {
+  return Object.entries(rules.documentTypes).map(([value, definition]) => ({
+    value,
+    label: definition.label || value
+  }));
+}
+
+/**
+ * Lists the program profiles in rule-file order.
+ *
+ * @param {{programs?:Object}} rules
+ * @returns {Array<{value:string, label:string}>}
+ */
+export function listPrograms(rules) {
+  return Object.entries(rules.programs || {}).map(([value, definition]) => ({
+    value,
+    label: definition.label || value
+  }));
+}
+
+/**
+ * Form fields the user must fill in for a document type: the program's
+ * `requiredFields` entry for the type when it has one, otherwise the
+ * type's own `requiredFields`.
+ *
+ * @param {{documentTypes:Object, programs?:Object}} rules
+ * @param {string} documentType
+ * @param {string} [program] Program key; empty for the base rules.
+ * @returns {string[]} Keys of FORM_FIELDS.
+ */
+export function getRequiredFields(rules, documentType, program) {
+  const programFields = program ? rules.programs?.[program]?.requiredFields?.[documentType] : undefined;
+  if (programFields) return programFields;
+  return rules.documentTypes[documentType]?.requiredFields || [];
+}
+
+/**
+ * Document types a program's application packet must contain.
+ *
+ * @param {{programs?:Object}} rules
+ * @param {string} [program] Program key; empty for no checklist.
+ * @returns {string[]}
+ */
+export function getRequiredDocumentTypes(rules, program) {
+  if (!program) return [];
+  return rules.programs?.[program]?.requiredDocumentTypes || [];
+}
@@ -0,0 +1,58 @@
+import { readFileSync, existsSync } from "fs";
+import { fileURLToPath } from "url";
+import { normalizeOrganizationName } from "../organization-names.js";
+/**
+ * shared/registry/file-provider.js
+ * ================================
+ * Business registry provider backed by a local JSON file instead of the
+ * state's business records service.  Used in development and tests.
+ *
+ * File layout – entities per registry (the registry named in the document
+ * type's `registryLookup` entry):
+ * {
+ *   "<registry>": [
+ *     { entityId, name, status, entityType?, formationDate? }
+ *   ]
+ * }
+ * A search returns the entity with the requested ID plus those whose
+ * normalized name equals the requested one.  The file is re-read on every
+ * search so entities can be edited while the host runs.
+ */
+
+const BUNDLED_REGISTRY_PATH = fileURLToPath(new URL("./fixtures/entities.json", import.meta.url));
+
+/**
+ * Creates the file-backed provider.
+ *
+ * @param {{registryPath?:string}} options Entity file; defaults to the bundled sample.
+ * @returns {import("./index.js").RegistryProvider}
+ */
+export function createFileRegistryProvider({ registryPath }) {
+  const path = registryPath || BUNDLED_REGISTRY_PATH;
+
+  return {
+    name: 'file',
+
+    configurationError: existsSync(path) ? null : `Business registry file ${path} does not exist`,
+
+    async search({ registry, entityId, name }) {
+      let entries;
+      try {
+        entries = JSON.parse(readFileSync(path, 'utf8'));
+      } catch (error) {
+        throw new Error(`Could not read business registry file ${path}: ${error.message}`);
+      }
+
+      const entities = entries[registry] || [];
+      if (!Array.isArray(entities)) {
+        throw new Error(`Business registry file ${path} has a "${registry}" entry that is not an array`);
+      }
+
+      const normalizedName = normalizeOrganizationName(name);
+      return entities.filter(entity =>
+        (entityId && entity.entityId === entityId) ||
+        (normalizedName && normalizeOrganizationName(entity.name) === normalizedName)
+      );
+    }
+  };
+}
@@ -0,0 +1,71 @@
+import { createFileRegistryProvider } from "./file-provider.js";
+/**
+ * shared/registry/index.js
+ * ========================
+ * Selects the business registry provider: the lookup that confirms an
+ * entity named on a formation or incorporation filing exists and is
+ * active.  Document types opt in with a `registryLookup` entry in the rule
+ * file; `business-registry.js` builds the query from the document and
+ * judges the entities the provider returns.
+ *
+ * Providers
+ * ---------
+ * • none (default) – no lookup; registry checks are skipped.
+ * • file           – answers from a local JSON file of entities, see
+ *                    file-provider.js.  For development and tests.
+ *
+ * A provider for a live registry implements the same `search` and is added
+ * to the switch below.
+ *
+ * Environment Variables
+ * ---------------------
+ * • BUSINESS_REGISTRY      : "none" | "file" (defaults to "none").
+ * • BUSINESS_REGISTRY_PATH : JSON file read by the file provider (defaults
+ *                            to the bundled sample in fixtures/).
+ */
+
+/**
+ * @typedef {Object} RegistryEntity
+ * @property {string} entityId      Registry identifier, e.g. the NJ ten-digit business ID.
+ * @property {string} name          Registered name.
+ * @property {string} status        "active" when in good standing; anything else
+ *                                  ("inactive", "dissolved", "revoked", …) is not active.
+ * @property {string} [entityType]  e.g. "Domestic Limited Liability Company".
+ * @property {string} [formationDate] YYYY-MM-DD.
+ */
+
+/**
+ * @typedef {Object} RegistryProvider
+ * @property {string}      name               Provider identifier reported with the result.
+ * @property {string|null} configurationError Human-readable reason the provider cannot run, or null.
+ * @property {(query:{registry:string, entityId:string|null, name:string|null}) => Promise<RegistryEntity[]>} search
+ *   Resolves to the entities with that ID or a name like it (empty when
+ *   none); rejects when the registry cannot be reached.
+ */
+
+/**
+ * Returns the provider selected by BUSINESS_REGISTRY, or null when entities
+ * are not looked up.
+ *
+ * @returns {RegistryProvider|null}
+ */
+export function getRegistryProvider() {
+  const providerName = (process.env.BUSINESS_REGISTRY || 'none').toLowerCase();
+
+  switch (providerName) {
+    case 'none':
+      return null;
+    case 'file':
+      return createFileRegistryProvider({
+        registryPath: process.env.BUSINESS_REGISTRY_PATH
+      });
+    default:
+      return {
+        name: providerName,
+        configurationError: `Unknown BUSINESS_REGISTRY "${providerName}"`,
+        search: async () => {
+          throw new Error(`Unknown BUSINESS_REGISTRY "${providerName}"`);
+        }
+      };
+  }
+}
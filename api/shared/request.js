@@ -0,0 +1,58 @@
+/**
+ * shared/request.js
+ * =================
+ * Helpers for turning JSON request bodies into the decoded file objects
+ * consumed by `document-analysis.js` and into the request parameters both
+ * functions share.  Errors are thrown with messages that are safe to
+ * return to the caller.
+ */
+
+/**
+ * Decodes a base64 file payload into the `{data, type, name}` shape used by
+ * the analysis pipeline.
+ *
+ * @param {{file:string, fileType?:string, fileName?:string}} payload
+ * @returns {{data:Buffer,type:string,name:string}}
+ * @throws {Error} When `file` is missing or is not a base64 string.
+ */
+export function decodeFilePayload({ file, fileType, fileName }) {
+  if (!file || typeof file !== 'string') {
+    throw new Error("Missing or invalid file data. Expected base64 string.");
+  }
+
+  // Decode base64 file
+  let fileBuffer;
+  try {
+    fileBuffer = Buffer.from(file, 'base64');
+  } catch (decodeError) {
+    throw new Error("Invalid base64 file data");
+  }
+
+  return {
+    data: fileBuffer,
+    type: fileType || 'application/pdf',
+    name: fileName || 'document'
+  };
+}
+
+/**
+ * Parses the optional `asOfDate` parameter: the date freshness windows are
+ * measured against, so an application can be re-validated as of the day
+ * it was submitted.
+ *
+ * @param {string} [value] YYYY-MM-DD.
+ * @returns {Date} The given calendar date (local midnight), or now when absent.
+ * @throws {Error} When the value is not a valid YYYY-MM-DD date.
+ */
+export function parseAsOfDate(value) {
+  if (value === undefined || value === null || value === '') {
+    return new Date();
+  }
+
+  const match = typeof value === 'string' ? value.match(/^(\d{4})-(\d{2})-(\d{2})$/) : null;
+  const date = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+  if (!date || date.getMonth() !== Number(match[2]) - 1 || date.getDate() !== Number(match[3])) {
+    throw new Error("asOfDate must be a valid date in YYYY-MM-DD format");
+  }
+  return date;
+}
@@ -0,0 +1,1137 @@
+import { readFileSync, statSync } from "fs";
+import { fileURLToPath } from "url";
+import { compareOrganizationNames, DEFAULT_MATCH_THRESHOLD } from "./organization-names.js";
+import { DATE_ROLES, findDatePresence, extractDateMentions, resolveIssueDate, isWithinMonths, ageInDays, formatIsoDate } from "./dates.js";
+import { validateFein, compareFeins, extractFeinCandidates } from "./fein.js";
+import { buildEvidence } from "./evidence.js";
+import { detectSignatures, findRosterSigner, resolveSigningDate } from "./signatures.js";
+import { SEAL_SHAPES, INK_COLORS } from "./seals.js";
+import { NAME_STRATEGY_TYPES, extractNameCandidates } from "./name-extraction.js";
+import { FIELD_TYPES, FIELD_STRATEGY_TYPES } from "./field-extraction.js";
+import { extractMemberRoster } from "./members.js";
+import { ARTICLES, extractIncorporationArticles } from "./incorporation.js";
+import { EXEMPTION_PARTS, FOUNDATION_STATUSES, extractExemption } from "./exemption.js";
+import { TRADE_NAME_PARTS, extractTradeNameCertificate } from "./trade-names.js";
+import { scoreFinding } from "./confidence.js";
+import { FORM_FIELDS } from "./program-profiles.js";
+/**
+ * shared/rule-engine.js
+ * =====================
+ * Generic evaluator for the declarative document-type definitions stored in
+ * `rules/document-types.json`.  Program staff edit that file (or an override
+ * file, see below) instead of writing validator functions, so a new
+ * document type can be introduced without a code deploy.
+ *
+ * Rule file layout
+ * ----------------
+ * {
+ *   version: 1,
+ *   documentTypes: {
+ *     "<documentType>": {
+ *       label:          string,
+ *       requiredFields: string[]    (optional – form fields the user must
+ *                                    fill in, see program-profiles.js),
+ *       nameExtraction: Strategy[]  (optional – every strategy contributes
+ *                                    ranked name candidates),
+ *       classification: Signal[]    (optional – see classification.js),
+ *       verification:   { authority } (optional – see certificates.js),
+ *       registryLookup: { registry }  (optional – see business-registry.js),
+ *       fields:         Field[]     (optional – typed data read from the
+ *                                    document, see field-extraction.js),
+ *       checks:         Check[]     (evaluated in order)
+ *     }
+ *   },
+ *   signerRosters: {                  (optional – see signatures.js)
+ *     "<roster>": [{ name, title?, patterns?, effectiveFrom?, effectiveTo? }]
+ *   },
+ *   sealTemplates: {                  (optional – see seals.js)
+ *     "<template>": { label, shape, sizeInches, inks, keywords? }
+ *   },
+ *   programs: {                       (optional – see "Program profiles")
+ *     "<program>": {
+ *       label:                 string,
+ *       requiredDocumentTypes: string[],
+ *       requiredFields:        { "<documentType>": string[] },
+ *       freshness:             { "<documentType>": { months: number } },
+ *       documentRules:         { "<documentType>": {
+ *                                  checks:           { "<checkId>": Patch },
+ *                                  additionalChecks: Check[] } }
+ *     }
+ *   }
+ * }
+ *
+ * Check types – every check has `id`, `type`, `message` and optional
+ * `description`, `severity` ("error" – default – or "warning") and
+ * `suggestedAction` (`{detectedOrganizationName}` and, for dateWithin,
+ * `{months}` are substituted in the texts):
+ * • phrase             : passes when ANY matcher hits.
+ * • signature          : passes when a signature is found (see
+ *                        signatures.js): a handwritten mark, ink or an
+ *                        "/s/" signature in a signature area.  With
+ *                        `roster` (which must exist in `signerRosters`), a
+ *                        signer from that roster must be named and in office
+ *                        on the signing date – a former official fails, an
+ *                        unnamed mark needs review.
+ *                        Matchers are an optional fallback that passes with
+ *                        reduced confidence.
+ * • seal               : passes when a seal or stamp matching one of its
+ *                        `templates` is found on a page image (see
+ *                        seals.js) or ANY matcher hits in the text.
+ * • verification       : passes when the issuing authority confirms the
+ *                        certificate (see certificates.js); fails when it
+ *                        has no such certificate, has revoked it or its
+ *                        record disagrees with the printed fields.
+ *                        Skipped when no verifier is configured or the
+ *                        lookup could not be made.  Needs the type's
+ *                        `verification` entry.
+ * • registry           : passes when the entity is registered and active
+ *                        in the business registry (see
+ *                        business-registry.js); fails when it is not
+ *                        registered, not active, or its business ID
+ *                        belongs to another name.  Skipped when no
+ *                        registry is configured or the lookup could not be
+ *                        made.  Needs the type's `registryLookup` entry.
+ * • reject             : fails when ANY matcher hits.
+ * • dateWithin         : the issue date (see dates.js) lies within the last
+ *                        `months` months of the evaluation date; the date
+ *                        used, the document's age and the window applied
+ *                        are reported in the finding's `details`.
+ * • datePresent        : any plausible date is present.
+ * • dateRole           : a date labelled `role` (see dates.js) is present,
+ *                        e.g. "adopted" for the adoption or amendment date
+ *                        of by-laws; the date is reported in `details`.
+ * • organizationName   : an extracted name matches `formFields.organizationName`
+ *                        (see organization-names.js).  Every name candidate
+ *                        is compared; the best-ranked match wins, else the
+ *                        closest name is reported.  Optional
+ *                        `matchThreshold` / `reviewThreshold` (0..1) tune
+ *                        the scored comparison, whose score, normalized
+ *                        names, entity types and reason are the `details`.
+ * • memberRoster       : at least `minMembers` (default 1) members are
+ *                        listed (see members.js).
+ * • ownershipTotal     : the members' ownership percentages add up to 100
+ *                        (within `tolerance`, default 0.1).  Fails with
+ *                        reduced certainty when no percentage is stated.
+ * • memberSignatures   : every listed member has a signature block with
+ *                        their name; blocks without a signature mark pass
+ *                        with reduced certainty.  Skipped when no member is
+ *                        listed.
+ * • article            : the Certificate of Incorporation article named by
+ *                        `article` is present (see incorporation.js):
+ *                        "name", "purpose", "shares" (skipped for
+ *                        nonprofits), "registeredAgent" (the agent must be
+ *                        named), "directors" / "incorporators" (at least
+ *                        one person named; fewer directors than the stated
+ *                        number fails with reduced certainty).
+ * • exemption          : the IRS determination letter states the
+ *                        `exemption` part (see exemption.js):
+ *                        "subsection" (optionally one of `subsections`,
+ *                        e.g. [3]), "foundationStatus" (optionally one of
+ *                        `statuses`; skipped for exemptions other than
+ *                        501(c)(3)) or "effectiveDate" (on or before the
+ *                        evaluation date).
+ * • tradeName          : the Certificate of Trade Name states the `part`
+ *                        (see trade-names.js): "tradeName" (compared with
+ *                        `formFields.dbaName` when entered, like
+ *                        organizationName), "owners" (at least one named),
+ *                        "county" (a county clerk filing; an unnamed county
+ *                        fails with reduced certainty) or "filingDate".
+ * • fein               : a FEIN printed on the document matches
+ *                        `formFields.fein` fully or on every visible digit
+ *                        (see fein.js).  `sources` limits where candidates
+ *                        come from ("applicantId", "text", "keyValue");
+ *                        `requireOnDocument: true` fails when none is found.
+ *                        An invalid entered FEIN always fails.
+ *
+ * Matchers (phrase / reject, optional for signature and seal):
+ * • phrases      – case-insensitive substrings.
+ * • exactPhrases – case-sensitive substrings.
+ * • patterns     – case-insensitive regular expression sources.
+ *
+ * Name-extraction strategies (see name-extraction.js for the ranking):
+ * • linesBefore – scan `window` lines above the first line containing an
+ *                 anchor.
+ * • linesAfter  – scan `window` lines after the first anchor found (anchors
+ *                 are tried in listed order).
+ *   Both accept `anchors` (case-insensitive) / `exactAnchors`, `skipPhrases`,
+ *   `skipPatterns` and `stopWhen` (["allCaps", "entitySuffix"]).  Every
+ *   eligible line is a candidate; the last one is preferred unless a
+ *   `stopWhen` condition ends the scan early.
+ * • pattern     – capture group 1 of every matching regex.
+ * • nameArticle – the name stated by "The name of the <subject> is …" /
+ *                 "Name of <subject>: …"; `subjects` defaults to
+ *                 ["corporation"].
+ * • keyValue    – values of the K/V pairs whose key contains one of
+ *                 `keyContains` or equals one of `keyEquals`.
+ * Organization entities recognised by the analysis provider are added as
+ * candidates too.  The top candidate is the `detectedOrganizationName`.
+ *
+ * Findings
+ * --------
+ * Every check produces one finding so callers can branch on stable codes
+ * instead of parsing messages:
+ *   { code, checkType, severity, status: "pass" | "fail" | "skipped",
+ *     description, message, suggestedAction?, evidence, confidence, details? }
+ * `code` is the check `id`.  `evidence` is `{ text, span: {offset, length},
+ * page, boundingRegions }` for the text that satisfied (or, for reject
+ * rules, tripped) the check, or null; see evidence.js for the geometry.
+ * "skipped" means the check did not apply (e.g. the user left the name
+ * blank).  Only failed "error" findings feed missingElements.
+ * `confidence` (0..1, null when skipped) is computed by confidence.js.
+ * `details` carries check-specific facts, e.g. the FEIN match type.
+ * Each required form field left blank adds a failed `<field>-required`
+ * finding (e.g. `fein-required`).
+ *
+ * Program profiles
+ * ----------------
+ * A request may name a program; `applyProgramProfile` adapts the document
+ * type's definition to it before evaluation:
+ * • requiredFields   – replaces the type's own list.
+ * • documentRules    – each Patch is merged over the check with that id
+ *                      (e.g. `{ "severity": "warning" }`); `"disabled": true`
+ *                      drops the check.  `additionalChecks` are appended.
+ * • freshness        – see "Freshness policy".
+ * `requiredDocumentTypes` is the packet checklist used by validate-packet.
+ *
+ * Freshness policy
+ * ----------------
+ * A document type's own window is the `months` of its dateWithin check.  A
+ * program's `freshness` entry replaces that window for the program, and
+ * adds an `issue-date-within-window` check to types that have none.  Ages
+ * are measured against the evaluation date – today, or the `asOf` date
+ * when an application is re-validated as of its submission date.
+ *
+ * Override file
+ * -------------
+ * When the DOCUMENT_RULES_PATH environment variable points at a JSON file of
+ * the same layout, its document types and programs are merged over the
+ * bundled ones (same key → replaced, new key → added); signer rosters and
+ * seal templates are merged the same way.  Files are re-read
+ * whenever their modification time changes, so edits apply without
+ * restarting the host.
+ */
+
+const BUNDLED_RULES_PATH = fileURLToPath(new URL("./rules/document-types.json", import.meta.url));
+
+const CHECK_TYPES = ['phrase', 'signature', 'seal', 'verification', 'registry', 'reject', 'dateWithin', 'datePresent', 'dateRole', 'organizationName', 'fein', 'memberRoster', 'ownershipTotal', 'memberSignatures', 'article', 'exemption', 'tradeName'];
+const ROSTER_CHECK_TYPES = ['memberRoster', 'ownershipTotal', 'memberSignatures'];
+const FEIN_SOURCES = ['applicantId', 'text', 'keyValue'];
+const MATCHER_CHECK_TYPES = ['phrase', 'reject'];
+const SEVERITIES = ['error', 'warning'];
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Certainty of a signature check passed on a roster signer's printed name,
+// and the cap for one passed on an unnamed mark when a roster is required
+const ROSTER_SIGNER_CERTAINTY = 0.9;
+const UNNAMED_SIGNER_CERTAINTY = 0.6;
+
+// Certainty of a signature check passed only by its keyword fallback
+const KEYWORD_SIGNATURE_CERTAINTY = 0.7;
+
+// Ownership percentages may be rounded (3 × 33.33%); totals this close to
+// 100 pass unless the check sets its own `tolerance`
+const DEFAULT_OWNERSHIP_TOLERANCE = 0.1;
+
+// Certainty of an article failure that may be an OCR miss: fewer directors
+// named than the certificate counts, or a registered office without the
+// agent's name
+const INCOMPLETE_ARTICLE_CERTAINTY = 0.6;
+
+const FOUNDATION_STATUS_LABELS = {
+  'public-charity': 'public charity',
+  'private-foundation': 'private foundation',
+  'private-operating-foundation': 'private operating foundation'
+};
+
+const ARTICLE_LABELS = {
+  name: 'corporation name',
+  purpose: 'purpose',
+  shares: 'authorized shares',
+  registeredAgent: 'registered agent',
+  directors: 'directors',
+  incorporators: 'incorporators'
+};
+
+// Certainty of a county clerk filing whose county could not be read
+const INCOMPLETE_TRADE_NAME_CERTAINTY = 0.6;
+
+// Certainty of an ownership failure when no percentage was found at all:
+// the shares may be stated in units or in a table OCR could not read
+const MISSING_OWNERSHIP_CERTAINTY = 0.6;
+
+// Certainty of an organization-name decision by its basis (see
+// organization-names.js): borderline scores need a person to look
+const NAME_MATCH_CERTAINTY = {
+  exact: 1,
+  similar: 0.9,
+  borderline: 0.5,
+  different: 1,
+  entityType: 1
+};
+
+// Check added when a program imposes a freshness window on a document type
+// whose own rules have no dateWithin check.
+const PROGRAM_FRESHNESS_CHECK = {
+  id: 'issue-date-within-window',
+  type: 'dateWithin',
+  description: 'Dated within the past {months} months',
+  message: 'Document must be dated within the past {months} months',
+  suggestedAction: 'Obtain a more recently issued copy of this document'
+};
+
+// Parsed rule files keyed by path; refreshed when the file's mtime changes.
+const ruleFileCache = new Map();
+
+/**
+ * Reads and validates a rule file, reusing the cached copy while the file is
+ * unchanged on disk.
+ *
+ * @param {string} path Absolute path of the JSON rule file.
+ * @returns {{version:number, documentTypes:Object<string, Object>, programs?:Object<string, Object>}}
+ */
+function readRuleFile(path) {
+  const { mtimeMs } = statSync(path);
+  const cached = ruleFileCache.get(path);
+  if (cached && cached.mtimeMs === mtimeMs) {
+    return cached.rules;
+  }
+
+  let rules;
+  try {
+    rules = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`Unable to read rule file ${path}: ${error.message}`);
+  }
+  validateRuleFile(rules, path);
+
+  ruleFileCache.set(path, { mtimeMs, rules });
+  return rules;
+}
+
+/**
+ * Verifies the structure of a rule file so that mistakes surface as one
+ * clear error instead of silently passing documents.
+ *
+ * @param {Object} rules
+ * @param {string} path Used in error messages.
+ * @throws {Error} When the file does not follow the documented layout.
+ */
+function validateRuleFile(rules, path) {
+  if (!rules || typeof rules.documentTypes !== 'object') {
+    throw new Error(`Rule file ${path} must contain a "documentTypes" object`);
+  }
+
+  for (const [documentType, definition] of Object.entries(rules.documentTypes)) {
+    const fail = (reason) => {
+      throw new Error(`Invalid rule definition for "${documentType}" in ${path}: ${reason}`);
+    };
+
+    if (!Array.isArray(definition.checks)) fail('"checks" must be an array');
+
+    for (const strategy of definition.nameExtraction || []) {
+      if (!NAME_STRATEGY_TYPES.includes(strategy.type)) fail(`unknown name-extraction strategy "${strategy.type}"`);
+      if (strategy.type === 'nameArticle' && strategy.subjects !== undefined &&
+          !(Array.isArray(strategy.subjects) && strategy.subjects.length > 0 && strategy.subjects.every(subject => /^[a-z ]+$/i.test(subject)))) {
+        fail('"subjects" of a nameArticle strategy must be a non-empty list of words');
+      }
+      compilePatterns(strategy.patterns, fail);
+      compilePatterns(strategy.skipPatterns, fail);
+    }
+
+    validateRequiredFields(definition.requiredFields, fail);
+    validateFieldSchema(definition.fields, fail);
+    for (const check of definition.checks) {
+      validateCheck(check, fail);
+    }
+
+    if (definition.verification !== undefined && !(definition.verification && typeof definition.verification.authority === 'string')) {
+      fail('"verification" needs an "authority"');
+    }
+    if (!definition.verification && definition.checks.some(check => check.type === 'verification')) {
+      fail('verification checks need a "verification" entry');
+    }
+    if (definition.registryLookup !== undefined && !(definition.registryLookup && typeof definition.registryLookup.registry === 'string')) {
+      fail('"registryLookup" needs a "registry"');
+    }
+    if (!definition.registryLookup && definition.checks.some(check => check.type === 'registry')) {
+      fail('registry checks need a "registryLookup" entry');
+    }
+
+    for (const signal of definition.classification || []) {
+      if (!(signal.weight > 0)) fail('every classification signal needs a positive "weight"');
+      if (signal.check !== undefined) {
+        if (!definition.checks.some(check => check.id === signal.check)) fail(`classification signal refers to unknown check "${signal.check}"`);
+      } else if (!(signal.phrases || signal.exactPhrases || signal.patterns)) {
+        fail('a classification signal needs a "check" or phrases, exactPhrases or patterns');
+      }
+      compilePatterns(signal.patterns, fail);
+    }
+  }
+
+  if (rules.signerRosters !== undefined && (typeof rules.signerRosters !== 'object' || Array.isArray(rules.signerRosters))) {
+    throw new Error(`Rule file ${path} has a "signerRosters" entry that is not an object`);
+  }
+
+  for (const [roster, signers] of Object.entries(rules.signerRosters || {})) {
+    const fail = (reason) => {
+      throw new Error(`Invalid signer roster "${roster}" in ${path}: ${reason}`);
+    };
+
+    if (!Array.isArray(signers)) fail('the roster must be an array');
+    for (const signer of signers) {
+      if (!signer.name) fail('every signer needs a "name"');
+      for (const bound of ['effectiveFrom', 'effectiveTo']) {
+        if (signer[bound] !== undefined && !ISO_DATE_PATTERN.test(signer[bound])) {
+          fail(`"${bound}" of ${signer.name} must be a YYYY-MM-DD date`);
+        }
+      }
+      compilePatterns(signer.patterns, fail);
+    }
+  }
+
+  if (rules.sealTemplates !== undefined && (typeof rules.sealTemplates !== 'object' || Array.isArray(rules.sealTemplates))) {
+    throw new Error(`Rule file ${path} has a "sealTemplates" entry that is not an object`);
+  }
+
+  for (const [template, definition] of Object.entries(rules.sealTemplates || {})) {
+    const fail = (reason) => {
+      throw new Error(`Invalid seal template "${template}" in ${path}: ${reason}`);
+    };
+
+    if (!SEAL_SHAPES.includes(definition.shape)) fail(`unknown shape "${definition.shape}"`);
+    const [minInches, maxInches] = Array.isArray(definition.sizeInches) ? definition.sizeInches : [];
+    if (!(minInches > 0 && maxInches >= minInches)) fail('"sizeInches" must be [min, max] with 0 < min <= max');
+    if (!Array.isArray(definition.inks) || definition.inks.length === 0) fail('"inks" must be a non-empty array');
+    for (const ink of definition.inks) {
+      if (!INK_COLORS.includes(ink)) fail(`unknown ink "${ink}"`);
+    }
+    if (definition.keywords !== undefined && !Array.isArray(definition.keywords)) fail('"keywords" must be an array');
+  }
+
+  if (rules.programs !== undefined && (typeof rules.programs !== 'object' || Array.isArray(rules.programs))) {
+    throw new Error(`Rule file ${path} has a "programs" entry that is not an object`);
+  }
+
+  for (const [program, definition] of Object.entries(rules.programs || {})) {
+    const fail = (reason) => {
+      throw new Error(`Invalid program "${program}" in ${path}: ${reason}`);
+    };
+
+    if (definition.requiredDocumentTypes !== undefined && !Array.isArray(definition.requiredDocumentTypes)) {
+      fail('"requiredDocumentTypes" must be an array');
+    }
+    for (const [documentType, fields] of Object.entries(definition.requiredFields || {})) {
+      validateRequiredFields(fields, (reason) => fail(`${reason} for "${documentType}"`));
+    }
+    for (const [documentType, policy] of Object.entries(definition.freshness || {})) {
+      if (!(policy && policy.months > 0)) fail(`freshness for "${documentType}" needs a positive "months"`);
+    }
+    for (const [documentType, documentRules] of Object.entries(definition.documentRules || {})) {
+      for (const [checkId, patch] of Object.entries(documentRules.checks || {})) {
+        if (!patch || typeof patch !== 'object') fail(`the "${documentType}" patch for "${checkId}" must be an object`);
+      }
+      for (const check of documentRules.additionalChecks || []) {
+        validateCheck(check, (reason) => fail(`${reason} (additional "${documentType}" check)`));
+      }
+    }
+  }
+}
+
+/**
+ * Verifies one check definition.
+ *
+ * @param {Object} check
+ * @param {(reason:string) => never} fail Throws with the caller's context.
+ */
+function validateCheck(check, fail) {
+  if (!CHECK_TYPES.includes(check.type)) fail(`unknown check type "${check.type}"`);
+  if (!check.id) fail(`a "${check.type}" check is missing its "id"`);
+  if (!check.message) fail(`check "${check.id}" is missing its "message"`);
+  if (MATCHER_CHECK_TYPES.includes(check.type) &&
+      !(check.phrases || check.exactPhrases || check.patterns)) {
+    fail(`check "${check.id}" needs phrases, exactPhrases or patterns`);
+  }
+  if (check.type === 'seal') {
+    if (check.templates !== undefined && !Array.isArray(check.templates)) fail(`check "${check.id}" has a "templates" entry that is not an array`);
+    if (!(check.templates || check.phrases || check.exactPhrases || check.patterns)) {
+      fail(`check "${check.id}" needs templates, phrases, exactPhrases or patterns`);
+    }
+  }
+  if (check.type === 'dateWithin' && !(check.months > 0)) fail(`check "${check.id}" needs a positive "months"`);
+  if (check.type === 'dateRole' && !DATE_ROLES.includes(check.role)) fail(`check "${check.id}" needs a date "role" (${DATE_ROLES.join(', ')})`);
+  if (check.minMembers !== undefined && !(Number.isInteger(check.minMembers) && check.minMembers > 0)) {
+    fail(`check "${check.id}" needs a positive whole "minMembers"`);
+  }
+  if (check.tolerance !== undefined && !(check.tolerance >= 0)) fail(`check "${check.id}" needs a non-negative "tolerance"`);
+  if (check.type === 'article' && !ARTICLES.includes(check.article)) fail(`check "${check.id}" has unknown article "${check.article}"`);
+  if (check.type === 'exemption' && !EXEMPTION_PARTS.includes(check.exemption)) fail(`check "${check.id}" has unknown exemption part "${check.exemption}"`);
+  if (check.subsections !== undefined && !(Array.isArray(check.subsections) && check.subsections.every(Number.isInteger))) {
+    fail(`check "${check.id}" needs "subsections" to be an array of whole numbers`);
+  }
+  if (check.type === 'tradeName' && !TRADE_NAME_PARTS.includes(check.part)) fail(`check "${check.id}" has unknown trade name part "${check.part}"`);
+  for (const status of check.statuses || []) {
+    if (!FOUNDATION_STATUSES.includes(status)) fail(`check "${check.id}" has unknown foundation status "${status}"`);
+  }
+  for (const threshold of ['matchThreshold', 'reviewThreshold']) {
+    if (check[threshold] !== undefined && !(check[threshold] > 0 && check[threshold] <= 1)) {
+      fail(`check "${check.id}" needs a "${threshold}" between 0 and 1`);
+    }
+  }
+  if (check.reviewThreshold > (check.matchThreshold ?? DEFAULT_MATCH_THRESHOLD)) {
+    fail(`check "${check.id}" has a "reviewThreshold" above its match threshold`);
+  }
+  if (check.severity && !SEVERITIES.includes(check.severity)) fail(`check "${check.id}" has unknown severity "${check.severity}"`);
+  for (const source of check.sources || []) {
+    if (!FEIN_SOURCES.includes(source)) fail(`check "${check.id}" has unknown FEIN source "${source}"`);
+  }
+  compilePatterns(check.patterns, fail);
+}
+
+/**
+ * Verifies a document type's `fields` schema.
+ *
+ * @param {Object[]|undefined} fields
+ * @param {(reason:string) => never} fail
+ */
+function validateFieldSchema(fields, fail) {
+  if (fields === undefined) return;
+  if (!Array.isArray(fields)) fail('"fields" must be an array');
+  const names = new Set();
+  for (const field of fields) {
+    if (!field.name) fail('every field needs a "name"');
+    if (names.has(field.name)) fail(`field "${field.name}" is declared twice`);
+    names.add(field.name);
+    if (!FIELD_TYPES.includes(field.type)) fail(`field "${field.name}" has unknown type "${field.type}"`);
+    if (!Array.isArray(field.extract) || field.extract.length === 0) fail(`field "${field.name}" needs a non-empty "extract" array`);
+    for (const strategy of field.extract) {
+      if (!FIELD_STRATEGY_TYPES.includes(strategy.type)) fail(`field "${field.name}" has unknown extraction strategy "${strategy.type}"`);
+      if (strategy.type === 'date' && !DATE_ROLES.includes(strategy.role)) fail(`field "${field.name}" needs a date "role" (${DATE_ROLES.join(', ')})`);
+      if (strategy.type === 'label' && !(Array.isArray(strategy.labels) && strategy.labels.length > 0)) fail(`field "${field.name}" needs "labels"`);
+      if (strategy.type === 'article' && !ARTICLES.includes(strategy.article)) fail(`field "${field.name}" has unknown article "${strategy.article}"`);
+      if (strategy.type === 'exemption' && !EXEMPTION_PARTS.includes(strategy.exemption)) fail(`field "${field.name}" has unknown exemption part "${strategy.exemption}"`);
+      if (strategy.type === 'tradeName' && !TRADE_NAME_PARTS.includes(strategy.part)) fail(`field "${field.name}" has unknown trade name part "${strategy.part}"`);
+      for (const source of strategy.sources || []) {
+        if (!FEIN_SOURCES.includes(source)) fail(`field "${field.name}" has unknown FEIN source "${source}"`);
+      }
+      compilePatterns(strategy.patterns, fail);
+    }
+  }
+}
+
+/**
+ * Verifies a `requiredFields` list against the known form fields.
+ *
+ * @param {string[]|undefined} fields
+ * @param {(reason:string) => never} fail
+ */
+function validateRequiredFields(fields, fail) {
+  if (fields === undefined) return;
+  if (!Array.isArray(fields)) fail('"requiredFields" must be an array');
+  for (const field of fields) {
+    if (!FORM_FIELDS[field]) fail(`unknown required field "${field}"`);
+  }
+}
+
+/**
+ * Compiles regular expression sources (case-insensitive).
+ *
+ * @param {string[]|undefined} sources
+ * @param {(reason:string) => never} [fail] Called with a reason on bad syntax.
+ * @returns {RegExp[]}
+ */
+function compilePatterns(sources, fail) {
+  return (sources || []).map(source => {
+    try {
+      return new RegExp(source, 'i');
+    } catch (error) {
+      if (fail) fail(`invalid pattern ${source}: ${error.message}`);
+      throw error;
+    }
+  });
+}
+
+/**
+ * Returns the effective document-type, program, signer-roster and
+ * seal-template definitions: the bundled rule file merged with the
+ * optional DOCUMENT_RULES_PATH override.
+ *
+ * @returns {{documentTypes:Object<string, {label?:string, nameExtraction?:Object[], checks:Object[]}>, programs:Object<string, {label?:string, freshness?:Object}>, signerRosters:Object<string, Object[]>, sealTemplates:Object<string, Object>}}
+ */
+export function loadRuleDefinitions() {
+  const bundled = readRuleFile(BUNDLED_RULES_PATH);
+  const overridePath = process.env.DOCUMENT_RULES_PATH;
+  const override = overridePath ? readRuleFile(overridePath) : {};
+  const definitions = {
+    documentTypes: { ...bundled.documentTypes, ...override.documentTypes },
+    programs: { ...bundled.programs, ...override.programs },
+    signerRosters: { ...bundled.signerRosters, ...override.signerRosters },
+    sealTemplates: { ...bundled.sealTemplates, ...override.sealTemplates }
+  };
+
+  // An override may use the bundled rosters, so references are checked
+  // once the files are merged
+  validateRosterReferences(definitions, overridePath || BUNDLED_RULES_PATH);
+  return definitions;
+}
+
+/**
+ * Verifies that every check naming a signer `roster` – in a document type,
+ * a program's additional checks or a program's patch – names a known one.
+ *
+ * @param {{documentTypes:Object, programs:Object, signerRosters:Object}} definitions Merged rule definitions.
+ * @param {string} path Used in error messages.
+ * @throws {Error} When a check refers to an unknown roster.
+ */
+function validateRosterReferences({ documentTypes, programs, signerRosters }, path) {
+  const verify = (check, where) => {
+    if (check.roster !== undefined && !Object.prototype.hasOwnProperty.call(signerRosters, check.roster)) {
+      throw new Error(`Check "${check.id}" ${where} in ${path} refers to unknown signer roster "${check.roster}"`);
+    }
+  };
+
+  for (const [documentType, definition] of Object.entries(documentTypes)) {
+    for (const check of definition.checks) verify(check, `of "${documentType}"`);
+  }
+  for (const [program, definition] of Object.entries(programs)) {
+    for (const [documentType, documentRules] of Object.entries(definition.documentRules || {})) {
+      for (const check of documentRules.additionalChecks || []) verify(check, `added to "${documentType}" by program "${program}"`);
+      for (const [checkId, patch] of Object.entries(documentRules.checks || {})) {
+        verify({ id: checkId, ...patch }, `of "${documentType}" patched by program "${program}"`);
+      }
+    }
+  }
+}
+
+/**
+ * Finds the first hit among the check's matchers.  Phrases are tried in the
+ * listed order, then exact phrases, then patterns.
+ *
+ * @param {{phrases?:string[], exactPhrases?:string[], patterns?:string[]}} matcher
+ * @param {string} content
+ * @param {string} contentLower
+ * @returns {{text:string, offset:number}|null}
+ */
+export function findMatch(matcher, content, contentLower) {
+  for (const phrase of matcher.phrases || []) {
+    const offset = contentLower.indexOf(phrase.toLowerCase());
+    if (offset !== -1) return { text: content.substr(offset, phrase.length), offset };
+  }
+  for (const phrase of matcher.exactPhrases || []) {
+    const offset = content.indexOf(phrase);
+    if (offset !== -1) return { text: phrase, offset };
+  }
+  for (const pattern of compilePatterns(matcher.patterns)) {
+    const match = pattern.exec(content);
+    if (match) return { text: match[0], offset: match.index };
+  }
+  return null;
+}
+
+/**
+ * Locates a detected value (e.g. a serial number) in the content.
+ *
+ * @param {string} content
+ * @param {string} value
+ * @returns {{text:string, offset:number}}
+ */
+function locateValue(content, value) {
+  return { text: value, offset: content.indexOf(value) };
+}
+
+/**
+ * Evaluates one check.  A check that does not apply (e.g. a name comparison
+ * when the user left the name blank) is reported as "skipped".
+ *
+ * @param {Object} check
+ * @param {{content:string, contentLower:string, keyValuePairs:Array, formFields:Object, nameCandidates:Array, asOf:Date, signatureMarks:Array, signerRosters:Object, seals:Array, sealTemplates:Object, verification:Object|null, registryLookup:Object|null, memberRoster:Object|null, incorporation:Object|null, exemption:Object|null, tradeNameCertificate:Object|null}} document
+ * `certainty` (0..1) says how clear-cut the decision was; fuzzy name
+ * comparisons, issue dates picked by position rather than by label and
+ * signatures inferred from layout are less than certain.  Checks may also return a `message` that replaces the
+ * configured one, check-specific `details` and, for evidence that is not
+ * text (a seal on a page image), ready-made `evidence`.
+ *
+ * @returns {{status:'pass'|'fail'|'skipped', hit:{text:string, offset:number}|null, certainty:number, message?:string, details?:Object, evidence?:Object}}
+ */
+function runCheck(check, { content, contentLower, keyValuePairs, formFields, nameCandidates, asOf, signatureMarks, signerRosters, seals, sealTemplates, verification, registryLookup, memberRoster, incorporation, exemption, tradeNameCertificate }) {
+  const result = (passed, hit, certainty = 1) => ({ status: passed ? 'pass' : 'fail', hit: hit || null, certainty });
+  const skipped = { status: 'skipped', hit: null, certainty: 1 };
+
+  switch (check.type) {
+    case 'phrase': {
+      const hit = findMatch(check, content, contentLower);
+      return result(Boolean(hit), hit);
+    }
+    case 'signature': {
+      const mark = signatureMarks.find(candidate => candidate.inSignatureArea) || signatureMarks[0] || null;
+      const details = { method: mark ? mark.method : null, signer: null, signedOn: null, authorized: null };
+
+      if (check.roster) {
+        const roster = signerRosters[check.roster];
+        if (!roster) throw new Error(`Check "${check.id}" refers to unknown signer roster "${check.roster}"`);
+
+        const signedOn = resolveSigningDate(content, keyValuePairs, asOf);
+        details.signedOn = signedOn;
+        const found = findRosterSigner(roster, content, signedOn);
+        if (found) {
+          const { signer, hit, authorized } = found;
+          const signerDetails = { ...details, signer: { name: signer.name, title: signer.title || null }, authorized };
+          if (!authorized) {
+            return {
+              ...result(false, hit),
+              message: `${signer.name} was not an authorized signer on ${signedOn}`,
+              details: signerDetails
+            };
+          }
+          return {
+            ...result(true, mark || hit, Math.max(mark ? mark.certainty : 0, ROSTER_SIGNER_CERTAINTY)),
+            details: { ...signerDetails, method: mark ? mark.method : 'printedName' }
+          };
+        }
+        // A mark without a recognisable signer may be anyone's signature
+        if (mark) {
+          return { ...result(true, mark, Math.min(mark.certainty, UNNAMED_SIGNER_CERTAINTY)), details };
+        }
+      } else if (mark) {
+        return { ...result(true, mark, mark.certainty), details };
+      }
+
+      const hit = findMatch(check, content, contentLower);
+      if (hit) return { ...result(true, hit, KEYWORD_SIGNATURE_CERTAINTY), details: { ...details, method: 'keyword' } };
+      return { ...result(false, null), details };
+    }
+    case 'seal': {
+      const templates = check.templates || [];
+      for (const template of templates) {
+        if (!sealTemplates[template]) throw new Error(`Check "${check.id}" refers to unknown seal template "${template}"`);
+      }
+
+      const seal = seals.find(candidate => templates.includes(candidate.template)) || null;
+      const hit = findMatch(check, content, contentLower);
+      const details = {
+        detectedBy: [...(seal ? ['image'] : []), ...(hit ? ['text'] : [])],
+        template: seal ? seal.template : null,
+        keywords: seal ? seal.keywords : []
+      };
+      if (!seal) return { ...result(Boolean(hit), hit), details };
+
+      // The seal is shown where it was found; matching text makes it certain
+      return {
+        ...result(true, null, hit ? 1 : seal.certainty),
+        evidence: {
+          text: seal.label,
+          span: null,
+          page: seal.pageNumber,
+          boundingRegions: [{ pageNumber: seal.pageNumber, polygon: seal.polygon }]
+        },
+        details
+      };
+    }
+    case 'verification': {
+      if (!verification) return skipped;
+      const { verifier, status, reason, mismatches } = verification;
+      const details = { verifier, status, reason, mismatches };
+      if (status === 'unavailable') return { ...skipped, details };
+
+      // The serial number is what the authority was asked about
+      const hit = locateValue(content, verification.serialNumber);
+      if (status === 'verified') return { ...result(true, hit), details };
+      // A missing certificate keeps the configured message; revocations and mismatches say what is wrong
+      return { ...result(false, hit), ...(status === 'not-found' ? {} : { message: reason }), details };
+    }
+    case 'registry': {
+      if (!registryLookup) return skipped;
+      const { provider, status, reason, entity, query } = registryLookup;
+      const details = { provider, status, reason, entity };
+      if (status === 'unavailable') return { ...skipped, details };
+
+      const hit = locateValue(content, query.entityId || query.name);
+      if (status === 'active') return { ...result(true, hit), details };
+      // An unregistered entity keeps the configured message; the others say what is wrong
+      return { ...result(false, hit), ...(status === 'not-found' ? {} : { message: reason }), details };
+    }
+    case 'reject': {
+      const hit = findMatch(check, content, contentLower);
+      return result(!hit, hit);
+    }
+    case 'dateWithin': {
+      // Freshness is judged on the issue date, not on any date the document mentions
+      const issueDate = resolveIssueDate(extractDateMentions(content, keyValuePairs));
+      const window = { maxAgeMonths: check.months, asOfDate: formatIsoDate(asOf) };
+      if (!issueDate) {
+        return { ...result(false, null), details: { dateUsed: null, dateRole: null, ageDays: null, ...window } };
+      }
+      return {
+        ...result(isWithinMonths(issueDate.date, check.months, asOf), issueDate, issueDate.certainty),
+        details: { dateUsed: issueDate.date, dateRole: issueDate.role, ageDays: ageInDays(issueDate.date, asOf), ...window }
+      };
+    }
+    case 'datePresent': {
+      const hit = findDatePresence(content);
+      return result(Boolean(hit), hit);
+    }
+    case 'dateRole': {
+      const mention = extractDateMentions(content, keyValuePairs).find(found => found.role === check.role);
+      return { ...result(Boolean(mention), mention), details: { role: check.role, date: mention ? mention.date : null } };
+    }
+    case 'organizationName': {
+      if (!formFields.organizationName || nameCandidates.length === 0) return skipped;
+      const comparisons = nameCandidates.map(candidate => ({
+        candidate,
+        comparison: compareOrganizationNames(formFields.organizationName, candidate.name, {
+          matchThreshold: check.matchThreshold,
+          reviewThreshold: check.reviewThreshold
+        })
+      }));
+      // The best-ranked name that matches, else the closest borderline one,
+      // else the most likely name on the document
+      const borderline = comparisons.filter(({ comparison }) => comparison.basis === 'borderline');
+      const best = comparisons.find(({ comparison }) => comparison.match) ||
+                   borderline.reduce((closest, entry) => (!closest || entry.comparison.score > closest.comparison.score ? entry : closest), null) ||
+                   comparisons[0];
+      const { candidate, comparison } = best;
+      // A mismatch is only as certain as the names read from the document
+      const certainty = comparison.match
+        ? NAME_MATCH_CERTAINTY[comparison.basis]
+        : Math.min(NAME_MATCH_CERTAINTY[comparison.basis], nameCandidates[0].confidence);
+      return {
+        ...result(comparison.match, { text: candidate.name, offset: candidate.offset }, certainty),
+        details: {
+          entered: formFields.organizationName,
+          detected: candidate.name,
+          candidate: { source: candidate.source, confidence: candidate.confidence },
+          candidatesConsidered: nameCandidates.length,
+          ...comparison
+        }
+      };
+    }
+    case 'memberRoster': {
+      const members = memberRoster.members.filter(member => member.roles.includes('member'));
+      const managers = memberRoster.members.filter(member => member.roles.includes('manager'));
+      const first = members[0] ? { text: members[0].name, offset: members[0].offset } : null;
+      return {
+        ...result(members.length >= (check.minMembers || 1), first),
+        details: { members: members.map(member => member.name), managers: managers.map(member => member.name), management: memberRoster.management }
+      };
+    }
+    case 'ownershipTotal': {
+      const members = memberRoster.members.filter(member => member.roles.includes('member'));
+      const stated = members.filter(member => member.ownershipPercent !== null);
+      const details = {
+        total: memberRoster.ownershipTotal,
+        ownership: members.map(member => ({ name: member.name, percent: member.ownershipPercent }))
+      };
+      if (stated.length === 0) return { ...result(false, null, MISSING_OWNERSHIP_CERTAINTY), details };
+
+      const first = { text: stated[0].name, offset: stated[0].offset };
+      const unstated = members.filter(member => member.ownershipPercent === null);
+      if (Math.abs(memberRoster.ownershipTotal - 100) > (check.tolerance ?? DEFAULT_OWNERSHIP_TOLERANCE)) {
+        return { ...result(false, first), message: `Ownership percentages add up to ${memberRoster.ownershipTotal}%, not 100%`, details };
+      }
+      if (unstated.length > 0) {
+        return { ...result(false, first), message: `No ownership percentage is stated for ${unstated.map(member => member.name).join(', ')}`, details };
+      }
+      return { ...result(true, first), details };
+    }
+    case 'memberSignatures': {
+      const members = memberRoster.members.filter(member => member.roles.includes('member'));
+      if (members.length === 0) return skipped;
+      const details = {
+        signatures: members.map(member => ({
+          name: member.name,
+          signatureBlock: Boolean(member.signature),
+          method: member.signature ? member.signature.method : null
+        }))
+      };
+      const unsigned = members.filter(member => !member.signature);
+      if (unsigned.length > 0) {
+        return { ...result(false, null), message: `No signature block for ${unsigned.map(member => member.name).join(', ')}`, details };
+      }
+      const weakest = members.reduce((lowest, member) => (member.signature.certainty < lowest.signature.certainty ? member : lowest));
+      return { ...result(true, weakest.signature, weakest.signature.certainty), details };
+    }
+    case 'article': {
+      if (check.article === 'shares' && incorporation.nonprofit) return skipped;
+      const article = incorporation.articles[check.article];
+      if (!article) return result(false, null);
+
+      const hit = { text: article.text, offset: article.offset };
+      const details = { article: check.article, value: article.value };
+      const label = ARTICLE_LABELS[check.article];
+      if (check.article === 'registeredAgent' && !article.value.name) {
+        return { ...result(false, hit, INCOMPLETE_ARTICLE_CERTAINTY), message: 'The registered agent is not named', details };
+      }
+      if (check.article === 'directors' || check.article === 'incorporators') {
+        if (article.value.length === 0) {
+          return { ...result(false, hit), message: `The certificate does not name its ${label}`, details };
+        }
+        if (check.article === 'directors' && article.count && article.value.length < article.count) {
+          return {
+            ...result(false, hit, INCOMPLETE_ARTICLE_CERTAINTY),
+            message: `The certificate names ${article.value.length} of its ${article.count} directors`,
+            details: { ...details, count: article.count }
+          };
+        }
+      }
+      return { ...result(true, hit), details };
+    }
+    case 'exemption': {
+      if (check.exemption === 'foundationStatus' && exemption.subsection && exemption.subsection.value !== 3) return skipped;
+      const part = exemption[check.exemption];
+      if (!part) return result(false, null);
+
+      const hit = { text: part.text, offset: part.offset };
+      const details = { part: check.exemption, value: part.value, ...(part.section !== undefined ? { section: part.section } : {}) };
+      if (check.exemption === 'subsection' && check.subsections && !check.subsections.includes(part.value)) {
+        return {
+          ...result(false, hit),
+          message: `The letter recognizes exemption under section 501(c)(${part.value}), not ${check.subsections.map(subsection => `501(c)(${subsection})`).join(' or ')}`,
+          details
+        };
+      }
+      if (check.exemption === 'foundationStatus' && check.statuses && !check.statuses.includes(part.value)) {
+        return { ...result(false, hit), message: `The IRS classifies the organization as a ${FOUNDATION_STATUS_LABELS[part.value]}`, details };
+      }
+      if (check.exemption === 'effectiveDate' && part.value > formatIsoDate(asOf)) {
+        return { ...result(false, hit), message: `The exemption is not effective until ${part.value}`, details };
+      }
+      return { ...result(true, hit), details };
+    }
+    case 'tradeName': {
+      const part = tradeNameCertificate[check.part];
+      if (!part) return result(false, null);
+
+      const hit = { text: part.text, offset: part.offset };
+      const details = { part: check.part, value: part.value };
+      if (check.part === 'owners' && part.value.length === 0) {
+        return { ...result(false, hit), message: 'The certificate does not name the owners of the business', details };
+      }
+      if (check.part === 'county') {
+        if (!part.clerk) return { ...result(false, hit), message: 'The certificate does not show a county clerk filing', details };
+        if (!part.value) return { ...result(false, hit, INCOMPLETE_TRADE_NAME_CERTAINTY), message: 'The filing county is not named', details };
+      }
+      if (check.part === 'tradeName' && formFields.dbaName) {
+        const comparison = compareOrganizationNames(formFields.dbaName, part.value, {
+          matchThreshold: check.matchThreshold,
+          reviewThreshold: check.reviewThreshold
+        });
+        const comparisonDetails = { ...details, entered: formFields.dbaName, detected: part.value, ...comparison };
+        if (!comparison.match) {
+          return {
+            ...result(false, hit, NAME_MATCH_CERTAINTY[comparison.basis]),
+            message: `The trade name on the certificate ("${part.value}") doesn't match the DBA entered`,
+            details: comparisonDetails
+          };
+        }
+        return { ...result(true, hit, NAME_MATCH_CERTAINTY[comparison.basis]), details: comparisonDetails };
+      }
+      return { ...result(true, hit), details };
+    }
+    case 'fein': {
+      if (!formFields.fein) return skipped;
+      const { valid, normalized, error } = validateFein(formFields.fein);
+      if (!valid) {
+        return { ...result(false, null), message: `The FEIN entered is not valid: ${error}` };
+      }
+
+      const candidates = extractFeinCandidates(content, keyValuePairs)
+        .filter(candidate => !check.sources || check.sources.includes(candidate.source));
+      if (candidates.length === 0) {
+        return check.requireOnDocument ? result(false, null) : skipped;
+      }
+
+      const comparisons = candidates.map(candidate => ({ candidate, ...compareFeins(normalized, candidate.value) }));
+      const best = comparisons.find(comparison => comparison.matchType === 'full') ||
+                   comparisons.find(comparison => comparison.matchType === 'partial');
+      if (!best) {
+        // Only a visibly conflicting number is a mismatch; unreadable ones are inconclusive
+        const conflicting = comparisons.find(comparison => comparison.matchType === 'none');
+        if (!conflicting) return check.requireOnDocument ? result(false, null) : skipped;
+        return {
+          ...result(false, conflicting.candidate),
+          details: { expected: normalized, found: conflicting.candidate.value, matchType: 'none', comparedDigits: conflicting.comparedDigits }
+        };
+      }
+      return {
+        ...result(true, best.candidate),
+        details: { expected: normalized, found: best.candidate.value, matchType: best.matchType, comparedDigits: best.comparedDigits }
+      };
+    }
+    default:
+      throw new Error(`Unknown check type "${check.type}"`);
+  }
+}
+
+/**
+ * Adapts a document type's definition to a program profile: required
+ * fields, check patches, additional checks and the freshness window (which
+ * replaces the `months` of every dateWithin check, or is enforced through
+ * PROGRAM_FRESHNESS_CHECK when the type has none).
+ *
+ * @param {{requiredFields?:string[], checks:Object[]}} definition
+ * @param {string} documentType
+ * @param {Object|null} programDefinition From the rule file's `programs`; null for none.
+ * @returns {Object} The adapted definition (the input is not modified).
+ * @throws {Error} When a patch names a check the document type does not have,
+ *                 or yields an invalid check.
+ */
+export function applyProgramProfile(definition, documentType, programDefinition) {
+  if (!programDefinition) return definition;
+
+  const { checks: patches = {}, additionalChecks = [] } = programDefinition.documentRules?.[documentType] || {};
+  const fail = (reason) => {
+    throw new Error(`Invalid program rules for "${documentType}": ${reason}`);
+  };
+
+  for (const checkId of Object.keys(patches)) {
+    if (!definition.checks.some(check => check.id === checkId)) fail(`no check "${checkId}" to override`);
+  }
+
+  let checks = [...definition.checks, ...additionalChecks]
+    .filter(check => !patches[check.id]?.disabled)
+    .map(check => {
+      if (!patches[check.id]) return check;
+      const { disabled, ...patch } = patches[check.id];
+      const patched = { ...check, ...patch, id: check.id };
+      validateCheck(patched, fail);
+      return patched;
+    });
+
+  const freshnessMonths = programDefinition.freshness?.[documentType]?.months;
+  if (freshnessMonths) {
+    checks = checks.some(check => check.type === 'dateWithin')
+      ? checks.map(check => (check.type === 'dateWithin' ? { ...check, months: freshnessMonths } : check))
+      : [...checks, { ...PROGRAM_FRESHNESS_CHECK, months: freshnessMonths }];
+  }
+
+  return {
+    ...definition,
+    requiredFields: programDefinition.requiredFields?.[documentType] || definition.requiredFields,
+    checks
+  };
+}
+
+/**
+ * Replaces `{name}` placeholders with the given values; unknown
+ * placeholders are left as they are.
+ *
+ * @param {string} text
+ * @param {Object<string, string|number>} values
+ * @returns {string}
+ */
+function fillPlaceholders(text, values) {
+  return text.replace(/\{(\w+)\}/g, (placeholder, name) => (values[name] !== undefined ? String(values[name]) : placeholder));
+}
+
+/**
+ * Evaluates a document-type definition (already adapted to the program,
+ * see `applyProgramProfile`) against an analysed document.
+ *
+ * @param {{requiredFields?:string[], nameExtraction?:Object[], checks:Object[]}} definition
+ * @param {Object} document
+ * @param {string} document.content       Raw OCR text from Azure FR.
+ * @param {string} document.contentLower  Lower-cased variant (perf optimiser).
+ * @param {Array}  document.keyValuePairs Key/value pairs extracted by FR.
+ * @param {Array}  [document.pages]       FR pages, used to locate evidence and score OCR confidence.
+ * @param {Array}  [document.styles]      FR styles, handwritten evidence lowers confidence
+ *                                        and handwriting marks signatures.
+ * @param {Array}  [document.tables]      FR tables; membership tables list the members (see members.js),
+ *                                        director and incorporator tables (see incorporation.js).
+ * @param {Array}  [document.entities]    FR entities; organizations become name candidates.
+ * @param {{organizationName?:string, fein?:string, dbaName?:string}} document.formFields – user-supplied context.
+ * @param {Date}   [document.asOf]        Evaluation date for freshness windows (default today).
+ * @param {Object} [document.signerRosters] Signer rosters for signature checks (see `loadRuleDefinitions`).
+ * @param {Array}  [document.seals]       Seals found on the page images (see seals.js).
+ * @param {Object} [document.sealTemplates] Seal templates, to verify the names seal checks use.
+ * @param {Object} [document.verification] The certificate's confirmation by its issuer (see certificates.js).
+ * @param {Object} [document.registryLookup] The entity's business registry record (see business-registry.js).
+ * @returns {{missingElements:string[], suggestedActions:string[], findings:Object[], detectedOrganizationName:string|null, organizationNameCandidates:Object[], memberRoster:Object|null, incorporation:Object|null, exemption:Object|null, tradeNameCertificate:Object|null}}
+ */
+export function evaluateDocumentRules(definition, { content, contentLower, keyValuePairs, pages = [], styles = [], tables = [], entities = [], formFields, asOf = new Date(), signerRosters = {}, seals = [], sealTemplates = {}, verification = null, registryLookup = null }) {
+  const missingElements = [];
+  const suggestedActions = [];
+  const findings = [];
+  const tradeNameCertificate = definition.checks.some(check => check.type === 'tradeName')
+    ? extractTradeNameCertificate({ content, keyValuePairs })
+    : null;
+  const nameCandidates = extractNameCandidates(definition.nameExtraction, {
+    content, contentLower, keyValuePairs, entities, owners: tradeNameCertificate ? tradeNameCertificate.owners : null
+  });
+  const detectedOrganizationName = nameCandidates.length > 0 ? nameCandidates[0].name : null;
+
+  const signatureMarks = detectSignatures({ content, pages, styles });
+  // Member rosters are only read for the types whose checks use them
+  const memberRoster = definition.checks.some(check => ROSTER_CHECK_TYPES.includes(check.type))
+    ? extractMemberRoster({ content, tables, signatureMarks })
+    : null;
+  const incorporation = definition.checks.some(check => check.type === 'article')
+    ? extractIncorporationArticles({ content, tables, nameCandidates })
+    : null;
+  const exemption = definition.checks.some(check => check.type === 'exemption')
+    ? extractExemption({ content, keyValuePairs })
+    : null;
+  const document = { content, contentLower, keyValuePairs, formFields, nameCandidates, asOf, signatureMarks, signerRosters, seals, sealTemplates, verification, registryLookup, memberRoster, incorporation, exemption, tradeNameCertificate };
+
+  for (const field of definition.requiredFields || []) {
+    const { label } = FORM_FIELDS[field];
+    const entered = Boolean(formFields[field] && String(formFields[field]).trim());
+    findings.push({
+      code: `${field.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}-required`,
+      checkType: 'requiredField',
+      severity: 'error',
+      status: entered ? 'pass' : 'fail',
+      description: `${label} entered`,
+      message: `${label} is required for this document type`,
+      ...(entered ? {} : { suggestedAction: `Enter the ${label} and validate again` }),
+      evidence: null,
+      confidence: 1
+    });
+    if (!entered) {
+      missingElements.push(`${label} is required for this document type`);
+      suggestedActions.push(`Enter the ${label} and validate again`);
+    }
+  }
+
+  for (const check of definition.checks) {
+    const placeholders = { detectedOrganizationName: detectedOrganizationName || '', months: check.months };
+    const checkResult = runCheck(check, document);
+    const { status, hit, certainty, details, evidence } = checkResult;
+    const message = fillPlaceholders(checkResult.message || check.message, placeholders);
+    const severity = check.severity || 'error';
+    const suggestedAction = check.suggestedAction
+      ? fillPlaceholders(check.suggestedAction, placeholders)
+      : undefined;
+
+    const finding = {
+      code: check.id,
+      checkType: check.type,
+      severity,
+      status,
+      description: fillPlaceholders(check.description || check.message, placeholders),
+      message,
+      ...(status === 'fail' && suggestedAction ? { suggestedAction } : {}),
+      evidence: evidence || buildEvidence(hit, pages),
+      ...(details ? { details } : {})
+    };
+    finding.confidence = scoreFinding(finding, certainty, { pages, styles });
+    findings.push(finding);
+
+    if (status !== 'fail' || severity !== 'error') continue;
+
+    missingElements.push(message);
+    if (suggestedAction) {
+      suggestedActions.push(suggestedAction);
+    }
+  }
+
+  return {
+    missingElements,
+    suggestedActions,
+    findings,
+    detectedOrganizationName,
+    organizationNameCandidates: nameCandidates,
+    memberRoster,
+    incorporation,
+    exemption,
+    tradeNameCertificate
+  };
+}
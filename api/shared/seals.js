@@ -0,0 +1,373 @@
+import { loadPageImages } from "./images.js";
+/**
+ * shared/seals.js
+ * ===============
+ * Finds official seals and filing stamps on the page images of an upload
+ * (see images.js), so `seal` rule checks still pass when a scanned
+ * certificate carries its seal or "FILED" stamp only as an image.
+ *
+ * Known seals and stamps are described as feature templates in the rule
+ * file's `sealTemplates`:
+ *
+ *   "<template>": {
+ *     label:      string,
+ *     shape:      "ring" | "box"   (circular seal / rectangular stamp),
+ *     sizeInches: [min, max]       (longer side of the outline),
+ *     inks:       string[]         ("black", "red", "blue", "purple",
+ *                                   "green", "gold"),
+ *     keywords:   string[]         (optional – text OCR read inside it)
+ *   }
+ *
+ * Each page image is reduced to a coarse grid (POOL_DPI cells per inch) of
+ * cells inked in a template's colours; connected groups of cells are the
+ * candidates.  A ring is an outline hitting nearly every ray from its
+ * centre with empty bounding-box corners; a box is an outline following
+ * all four sides with a blank margin inside (which sets it apart from a
+ * paragraph of text).  A candidate that fits the shape, size and ink is a
+ * match with SHAPE_MATCH_CERTAINTY; one of the template's keywords read
+ * inside the outline confirms it.  Embossed seals leave no ink and cannot
+ * be seen this way.
+ */
+
+// Resolution of the grid the outlines are traced on
+const POOL_DPI = 50;
+
+// Share of a cell's pixels that must be ink for the cell to count as inked
+const INKED_CELL_FRACTION = 0.1;
+
+// Certainty of a match on shape, size and ink alone, and of one whose
+// outline also contains one of the template's keywords
+const SHAPE_MATCH_CERTAINTY = 0.75;
+const KEYWORD_MATCH_CERTAINTY = 0.95;
+
+// Rays cast from a ring's centre, and the share that must meet the outline
+const RING_RAYS = 48;
+const RING_COVERAGE = 0.85;
+
+// Most of a ring's bounding-box corners must be blank
+const RING_MAX_CORNER_INK = 0.15;
+
+// Share of each side a box outline must follow, and the most ink allowed
+// in the margin just inside it
+const BOX_SIDE_COVERAGE = 0.85;
+const BOX_MAX_MARGIN_INK = 0.5;
+
+// Widest aspect ratio accepted for a stamp's outline
+const BOX_MAX_ASPECT = 4;
+
+export const SEAL_SHAPES = ['ring', 'box'];
+export const INK_COLORS = ['black', 'red', 'blue', 'purple', 'green', 'gold'];
+const BLACK_INK = INK_COLORS.indexOf('black');
+
+/**
+ * Classifies a pixel's colour as one of INK_COLORS.
+ *
+ * @param {number} red
+ * @param {number} green
+ * @param {number} blue
+ * @returns {number} Index into INK_COLORS, or -1 for paper.
+ */
+function inkIndex(red, green, blue) {
+  const max = Math.max(red, green, blue);
+  const min = Math.min(red, green, blue);
+  const saturation = max - min;
+
+  if (saturation >= 60 && max >= 70) {
+    let hue;
+    if (max === red) hue = ((green - blue) / saturation) * 60;
+    else if (max === green) hue = ((blue - red) / saturation) * 60 + 120;
+    else hue = ((red - green) / saturation) * 60 + 240;
+    if (hue < 0) hue += 360;
+
+    if (hue < 20 || hue >= 330) return INK_COLORS.indexOf('red');
+    if (hue < 70) return INK_COLORS.indexOf('gold');
+    if (hue < 170) return INK_COLORS.indexOf('green');
+    if (hue < 260) return INK_COLORS.indexOf('blue');
+    return INK_COLORS.indexOf('purple');
+  }
+  return max < 110 ? BLACK_INK : -1;
+}
+
+/**
+ * Counts the ink pixels of each colour in every grid cell.
+ *
+ * @param {{width:number, height:number, channels:number, data:Uint8Array}} raster
+ * @param {number} cellSize Pixels per cell side.
+ * @returns {{columns:number, rows:number, counts:Uint16Array[], cellPixels:number}}
+ */
+function countInk(raster, cellSize) {
+  const { width, height, channels, data } = raster;
+  const columns = Math.ceil(width / cellSize);
+  const rows = Math.ceil(height / cellSize);
+  const counts = INK_COLORS.map(() => new Uint16Array(columns * rows));
+
+  for (let y = 0; y < height; y++) {
+    const cellRow = Math.floor(y / cellSize) * columns;
+    for (let x = 0; x < width; x++) {
+      const pixel = (y * width + x) * channels;
+      const ink = channels === 1
+        ? (data[pixel] < 110 ? BLACK_INK : -1)
+        : inkIndex(data[pixel], data[pixel + 1], data[pixel + 2]);
+      if (ink !== -1) counts[ink][cellRow + Math.floor(x / cellSize)]++;
+    }
+  }
+
+  return { columns, rows, counts, cellPixels: cellSize * cellSize };
+}
+
+/**
+ * Groups the inked cells into 8-connected components.
+ *
+ * @param {Uint8Array} mask 1 for inked cells.
+ * @param {number} columns
+ * @param {number} rows
+ * @returns {Array<{cells:Set<number>, left:number, top:number, right:number, bottom:number}>}
+ */
+function connectedComponents(mask, columns, rows) {
+  const seen = new Uint8Array(mask.length);
+  const components = [];
+
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || seen[start]) continue;
+
+    const component = { cells: new Set(), left: columns, top: rows, right: -1, bottom: -1 };
+    const stack = [start];
+    seen[start] = 1;
+    while (stack.length > 0) {
+      const cell = stack.pop();
+      const x = cell % columns;
+      const y = (cell - x) / columns;
+      component.cells.add(cell);
+      component.left = Math.min(component.left, x);
+      component.right = Math.max(component.right, x);
+      component.top = Math.min(component.top, y);
+      component.bottom = Math.max(component.bottom, y);
+
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || ny < 0 || nx >= columns || ny >= rows) continue;
+          const neighbour = ny * columns + nx;
+          if (mask[neighbour] && !seen[neighbour]) {
+            seen[neighbour] = 1;
+            stack.push(neighbour);
+          }
+        }
+      }
+    }
+    components.push(component);
+  }
+
+  return components;
+}
+
+/**
+ * True when a component is a roughly circular outline.
+ *
+ * @param {{cells:Set<number>, left:number, top:number, right:number, bottom:number}} component
+ * @param {number} columns
+ * @returns {boolean}
+ */
+function isRing({ cells, left, top, right, bottom }, columns) {
+  const width = right - left + 1;
+  const height = bottom - top + 1;
+  if (width / height < 0.8 || width / height > 1.25) return false;
+
+  const centerX = (left + right) / 2;
+  const centerY = (top + bottom) / 2;
+  const radius = (width + height) / 4;
+  const inked = (x, y) => cells.has(Math.round(y) * columns + Math.round(x));
+
+  let hits = 0;
+  for (let ray = 0; ray < RING_RAYS; ray++) {
+    const angle = (2 * Math.PI * ray) / RING_RAYS;
+    for (let distance = radius * 0.8; distance <= radius * 1.1; distance += 0.5) {
+      if (inked(centerX + Math.cos(angle) * distance, centerY + Math.sin(angle) * distance)) {
+        hits++;
+        break;
+      }
+    }
+  }
+  if (hits / RING_RAYS < RING_COVERAGE) return false;
+
+  let cornerCells = 0;
+  let cornerInk = 0;
+  for (let y = top; y <= bottom; y++) {
+    for (let x = left; x <= right; x++) {
+      if (Math.hypot(x - centerX, y - centerY) <= radius * 1.15) continue;
+      cornerCells++;
+      if (cells.has(y * columns + x)) cornerInk++;
+    }
+  }
+  return cornerCells === 0 || cornerInk / cornerCells <= RING_MAX_CORNER_INK;
+}
+
+/**
+ * True when a component is a rectangular outline with a blank margin
+ * inside it.
+ *
+ * @param {{cells:Set<number>, left:number, top:number, right:number, bottom:number}} component
+ * @param {number} columns
+ * @returns {boolean}
+ */
+function isBox({ cells, left, top, right, bottom }, columns) {
+  const width = right - left + 1;
+  const height = bottom - top + 1;
+  if (Math.max(width, height) / Math.min(width, height) > BOX_MAX_ASPECT) return false;
+
+  // Ink within two cells of the edge, looking inwards
+  const nearEdge = (x, y, dx, dy) => [0, 1, 2].some(step => cells.has((y + dy * step) * columns + (x + dx * step)));
+  const coverage = (positions, test) => positions.filter(test).length / positions.length;
+  const xs = Array.from({ length: width }, (_, index) => left + index);
+  const ys = Array.from({ length: height }, (_, index) => top + index);
+  if (coverage(xs, x => nearEdge(x, top, 0, 1)) < BOX_SIDE_COVERAGE) return false;
+  if (coverage(xs, x => nearEdge(x, bottom, 0, -1)) < BOX_SIDE_COVERAGE) return false;
+  if (coverage(ys, y => nearEdge(left, y, 1, 0)) < BOX_SIDE_COVERAGE) return false;
+  if (coverage(ys, y => nearEdge(right, y, -1, 0)) < BOX_SIDE_COVERAGE) return false;
+
+  // The margin between the outline and the stamp's text
+  let marginCells = 0;
+  let marginInk = 0;
+  for (let y = top + 3; y <= bottom - 3; y++) {
+    for (let x = left + 3; x <= right - 3; x++) {
+      const inset = Math.min(x - left, right - x, y - top, bottom - y);
+      if (inset > 4) continue;
+      marginCells++;
+      if (cells.has(y * columns + x)) marginInk++;
+    }
+  }
+  return marginCells > 0 && marginInk / marginCells <= BOX_MAX_MARGIN_INK;
+}
+
+/**
+ * Finds the outlines matching each template on one page image.
+ *
+ * @param {{raster:Object, placement:{x:number, y:number, width:number, height:number}}} pageImage
+ * @param {Object<string, Object>} templates
+ * @returns {Array<{template:string, rectangle:{x:number, y:number, width:number, height:number}}>}
+ *   Rectangles in inches from the page's top-left corner.
+ */
+function traceOutlines({ raster, placement }, templates) {
+  const cellSize = Math.max(1, Math.round(raster.width / placement.width / POOL_DPI));
+  // An image may be stretched differently across and down the page
+  const cellWidth = (cellSize * placement.width) / raster.width;
+  const cellHeight = (cellSize * placement.height) / raster.height;
+  const { columns, rows, counts, cellPixels } = countInk(raster, cellSize);
+  const outlines = [];
+
+  for (const [id, template] of Object.entries(templates)) {
+    const inks = template.inks.map(ink => counts[INK_COLORS.indexOf(ink)]);
+    const mask = new Uint8Array(columns * rows);
+    for (let cell = 0; cell < mask.length; cell++) {
+      const ink = inks.reduce((sum, count) => sum + count[cell], 0);
+      mask[cell] = ink >= cellPixels * INKED_CELL_FRACTION ? 1 : 0;
+    }
+
+    const [minInches, maxInches] = template.sizeInches;
+    const matched = [];
+    for (const component of connectedComponents(mask, columns, rows)) {
+      const width = (component.right - component.left + 1) * cellWidth;
+      const height = (component.bottom - component.top + 1) * cellHeight;
+      const size = Math.max(width, height);
+      if (size < minInches || size > maxInches) continue;
+
+      const matchesShape = template.shape === 'ring' ? isRing(component, columns) : isBox(component, columns);
+      if (!matchesShape) continue;
+      matched.push(component);
+    }
+
+    // A seal's inner ring (or a stamp's inner frame) is part of the same mark
+    const outermost = matched.filter(component => !matched.some(other =>
+      other !== component && other.left <= component.left && other.right >= component.right &&
+      other.top <= component.top && other.bottom >= component.bottom
+    ));
+    for (const component of outermost) {
+      outlines.push({
+        template: id,
+        rectangle: {
+          x: placement.x + component.left * cellWidth,
+          y: placement.y + component.top * cellHeight,
+          width: (component.right - component.left + 1) * cellWidth,
+          height: (component.bottom - component.top + 1) * cellHeight
+        }
+      });
+    }
+  }
+
+  return outlines;
+}
+
+/**
+ * Converts a rectangle in inches into a polygon in the page's own unit.
+ *
+ * @param {{x:number, y:number, width:number, height:number}} rectangle
+ * @param {{unit?:string, width?:number}|undefined} page Analysis page.
+ * @param {number} pageWidthInches
+ * @returns {Array<{x:number, y:number}>}
+ */
+function toPagePolygon({ x, y, width, height }, page, pageWidthInches) {
+  const scale = page && page.unit === 'pixel' && page.width ? page.width / pageWidthInches : 1;
+  const left = x * scale;
+  const top = y * scale;
+  const right = (x + width) * scale;
+  const bottom = (y + height) * scale;
+  return [{ x: left, y: top }, { x: right, y: top }, { x: right, y: bottom }, { x: left, y: bottom }];
+}
+
+/**
+ * Template keywords found among the words OCR read inside a polygon.
+ *
+ * @param {string[]} keywords
+ * @param {{words?:Array}|undefined} page
+ * @param {Array<{x:number, y:number}>} polygon Axis-aligned, clockwise from top-left.
+ * @returns {string[]}
+ */
+function keywordsInside(keywords, page, polygon) {
+  if (!keywords || !page) return [];
+  const [topLeft, , bottomRight] = polygon;
+  const text = (page.words || [])
+    .filter(word => {
+      if (!word.polygon || word.polygon.length === 0) return false;
+      const x = word.polygon.reduce((sum, point) => sum + point.x, 0) / word.polygon.length;
+      const y = word.polygon.reduce((sum, point) => sum + point.y, 0) / word.polygon.length;
+      return x >= topLeft.x && x <= bottomRight.x && y >= topLeft.y && y <= bottomRight.y;
+    })
+    .map(word => word.content)
+    .join(' ')
+    .toLowerCase();
+  return keywords.filter(keyword => text.includes(keyword.toLowerCase()));
+}
+
+/**
+ * Finds seals and stamps on the page images of an upload.
+ *
+ * @param {{data:Buffer, type:string, name:string}} file
+ * @param {Array} pages Analysis pages, used to place the results in page
+ *                      units and to read the text inside them.
+ * @param {Object<string, Object>} templates The rule file's `sealTemplates`.
+ * @returns {Promise<Array<{template:string, label:string, pageNumber:number, polygon:Array<{x:number, y:number}>, keywords:string[], certainty:number}>>}
+ *   Strongest first.
+ */
+export async function detectSeals(file, pages, templates) {
+  if (Object.keys(templates).length === 0) return [];
+
+  const seals = [];
+  for (const pageImage of await loadPageImages(file)) {
+    const page = pages.find(candidate => candidate.pageNumber === pageImage.pageNumber);
+    for (const { template, rectangle } of traceOutlines(pageImage, templates)) {
+      const polygon = toPagePolygon(rectangle, page, pageImage.pageWidthInches);
+      const keywords = keywordsInside(templates[template].keywords, page, polygon);
+      seals.push({
+        template,
+        label: templates[template].label || template,
+        pageNumber: pageImage.pageNumber,
+        polygon,
+        keywords,
+        certainty: keywords.length > 0 ? KEYWORD_MATCH_CERTAINTY : SHAPE_MATCH_CERTAINTY
+      });
+    }
+  }
+
+  return seals.sort((a, b) => b.certainty - a.certainty);
+}
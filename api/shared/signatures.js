@@ -0,0 +1,284 @@
+import { extractDateMentions, resolveIssueDate, formatIsoDate } from "./dates.js";
+/**
+ * shared/signatures.js
+ * ====================
+ * Signature detection for the `signature` rule checks, based on where a
+ * signature physically sits rather than on keyword lists.
+ *
+ * Signature areas are found around signature lines – a run of
+ * underscores, a "Signature" / "Signed:" / "By:" label – and cover the
+ * neighbouring text lines plus, when word polygons are available, the band
+ * of the page just above the line where the ink goes.  Marks found there,
+ * strongest first:
+ * • handwriting  – a handwritten style span (Azure) in the area.
+ * • illegibleInk – words OCR could barely read in the band above the line;
+ *                  scribbled signatures come out as low-confidence text.
+ * • conformed    – an electronic "/s/ Name" signature (anywhere).
+ * • signatureLine – a signature line with a printed name next to it.
+ * Handwriting outside any signature area is reported with lower certainty.
+ *
+ * Signature blocks – a signature line with the lines around it, where
+ * the signer's printed name and title go – tell who was meant to sign
+ * (see `findSignatureBlocks`), e.g. every member of an LLC.
+ *
+ * Signer rosters
+ * --------------
+ * The rule file's `signerRosters` list the officials whose signature makes
+ * a document authentic, with the dates they held office:
+ *   { "<roster>": [{ name, title?, patterns?, effectiveFrom?, effectiveTo? }] }
+ * `patterns` (case-insensitive regex sources) default to the name itself;
+ * dates are YYYY-MM-DD and open-ended when omitted.  A signer is checked
+ * against the date the document was signed (or issued), so the rules keep
+ * working when officials change: add the successor, close the old range.
+ */
+
+// Certainty of each kind of mark
+const MARK_CERTAINTY = {
+  handwriting: 1,
+  conformed: 0.9,
+  illegibleInk: 0.85,
+  signatureLine: 0.75
+};
+
+// Handwriting outside a signature area may be a filled-in form field
+const STRAY_HANDWRITING_CERTAINTY = 0.8;
+
+// Words read below this OCR confidence count as illegible ink
+const ILLEGIBLE_WORD_CONFIDENCE = 0.5;
+
+// Height of the band above a signature line searched for ink, and the
+// horizontal margin around the line, in inches
+const SIGNATURE_BAND_HEIGHT = 0.75;
+const SIGNATURE_BAND_MARGIN = 0.5;
+
+// Lines below a signature line that belong to its block (name, title, date)
+const SIGNATURE_BLOCK_LINES_BELOW = 3;
+
+// Page width used to convert inches to pixels on image pages
+const LETTER_WIDTH_INCHES = 8.5;
+
+const SIGNATURE_LINE_PATTERN = /_{5,}|\b(?:authorized\s+)?signature\b|\bsigned\s*(?:by)?\s*:|^\s*by\s*:/i;
+const CONFORMED_SIGNATURE_PATTERN = /\/s\/\s*[A-Z][\w.'-]*(?:[ \t]+[A-Z][\w.'-]*){0,3}/g;
+const PRINTED_NAME_PATTERN = /^[A-Z][A-Za-z.'-]+(?:\s+[A-Z][A-Za-z.'-]*){1,3},?(?:\s+[A-Za-z ,.]+)?$/;
+
+/**
+ * True when two spans overlap.
+ *
+ * @param {{offset:number, length:number}} a
+ * @param {{offset:number, length:number}} b
+ * @returns {boolean}
+ */
+function spansOverlap(a, b) {
+  return a.offset < b.offset + b.length && b.offset < a.offset + a.length;
+}
+
+/**
+ * Splits content into lines, keeping each line's offset.
+ *
+ * @param {string} content
+ * @returns {Array<{text:string, offset:number}>}
+ */
+function contentLines(content) {
+  const lines = [];
+  let offset = 0;
+  for (const text of content.split('\n')) {
+    lines.push({ text, offset });
+    offset += text.length + 1;
+  }
+  return lines;
+}
+
+/**
+ * Words in the band of the page just above a signature line.  Returns an
+ * empty list when the line's words carry no geometry.
+ *
+ * @param {Array} pages FR pages.
+ * @param {{offset:number, length:number}} lineSpan
+ * @returns {Array<{content:string, span:Object, confidence?:number}>}
+ */
+function wordsAboveLine(pages, lineSpan) {
+  for (const page of pages) {
+    const lineWords = (page.words || []).filter(word =>
+      word.span && word.polygon && word.polygon.length > 0 && spansOverlap(word.span, lineSpan)
+    );
+    if (lineWords.length === 0) continue;
+
+    const points = lineWords.flatMap(word => word.polygon);
+    const scale = page.unit === 'pixel' ? page.width / LETTER_WIDTH_INCHES : 1;
+    const band = {
+      left: Math.min(...points.map(point => point.x)) - SIGNATURE_BAND_MARGIN * scale,
+      right: Math.max(...points.map(point => point.x)) + SIGNATURE_BAND_MARGIN * scale,
+      top: Math.min(...points.map(point => point.y)) - SIGNATURE_BAND_HEIGHT * scale,
+      bottom: Math.max(...points.map(point => point.y))
+    };
+
+    return (page.words || []).filter(word => {
+      if (!word.span || !word.polygon || word.polygon.length === 0) return false;
+      const x = word.polygon.reduce((sum, point) => sum + point.x, 0) / word.polygon.length;
+      const y = word.polygon.reduce((sum, point) => sum + point.y, 0) / word.polygon.length;
+      return x >= band.left && x <= band.right && y >= band.top && y <= band.bottom;
+    });
+  }
+  return [];
+}
+
+/**
+ * Finds the signature marks on a document.
+ *
+ * @param {{content:string, pages?:Array, styles?:Array}} analysis
+ * @returns {Array<{method:string, text:string, offset:number, certainty:number, inSignatureArea:boolean}>}
+ *   Strongest first; `offset` points into content so the caller can locate
+ *   the mark on the page (see evidence.js).
+ */
+export function detectSignatures({ content, pages = [], styles = [] }) {
+  if (!content) return [];
+
+  const marks = [];
+  const handwrittenSpans = styles
+    .filter(style => style.isHandwritten)
+    .flatMap(style => style.spans || []);
+  const usedSpans = new Set();
+  const lines = contentLines(content);
+
+  lines.forEach((line, index) => {
+    if (!SIGNATURE_LINE_PATTERN.test(line.text)) return;
+
+    // The line itself plus its neighbours: ink above, printed name below
+    const first = lines[Math.max(index - 1, 0)];
+    const last = lines[Math.min(index + 1, lines.length - 1)];
+    const area = { offset: first.offset, length: last.offset + last.text.length - first.offset };
+    const bandWords = wordsAboveLine(pages, { offset: line.offset, length: line.text.length });
+
+    const handwritten = handwrittenSpans.find(span =>
+      spansOverlap(span, area) || bandWords.some(word => spansOverlap(word.span, span))
+    );
+    if (handwritten) {
+      usedSpans.add(handwritten);
+      marks.push({
+        method: 'handwriting',
+        text: content.substr(handwritten.offset, handwritten.length),
+        offset: handwritten.offset,
+        certainty: MARK_CERTAINTY.handwriting,
+        inSignatureArea: true
+      });
+      return;
+    }
+
+    const illegible = bandWords.filter(word =>
+      typeof word.confidence === 'number' && word.confidence < ILLEGIBLE_WORD_CONFIDENCE
+    );
+    if (illegible.length > 0) {
+      marks.push({
+        method: 'illegibleInk',
+        text: illegible.map(word => word.content).join(' '),
+        offset: illegible[0].span.offset,
+        certainty: MARK_CERTAINTY.illegibleInk,
+        inSignatureArea: true
+      });
+      return;
+    }
+
+    const printedName = [lines[index + 1], lines[index - 1]]
+      .find(neighbour => neighbour && PRINTED_NAME_PATTERN.test(neighbour.text.trim()));
+    if (printedName) {
+      marks.push({
+        method: 'signatureLine',
+        text: printedName.text.trim(),
+        offset: printedName.offset + printedName.text.indexOf(printedName.text.trim()),
+        certainty: MARK_CERTAINTY.signatureLine,
+        inSignatureArea: true
+      });
+    }
+  });
+
+  for (const match of content.matchAll(CONFORMED_SIGNATURE_PATTERN)) {
+    marks.push({
+      method: 'conformed',
+      text: match[0],
+      offset: match.index,
+      certainty: MARK_CERTAINTY.conformed,
+      inSignatureArea: true
+    });
+  }
+
+  for (const span of handwrittenSpans) {
+    if (usedSpans.has(span)) continue;
+    marks.push({
+      method: 'handwriting',
+      text: content.substr(span.offset, span.length),
+      offset: span.offset,
+      certainty: STRAY_HANDWRITING_CERTAINTY,
+      inSignatureArea: false
+    });
+  }
+
+  return marks.sort((a, b) => b.certainty - a.certainty || a.offset - b.offset);
+}
+
+/**
+ * Finds the signature blocks on a document: every signature line or "/s/"
+ * signature together with the line above it and the lines below it that
+ * carry the printed name and title.
+ *
+ * @param {string} content
+ * @returns {Array<{offset:number, length:number, text:string}>} In document order.
+ */
+export function findSignatureBlocks(content) {
+  if (!content) return [];
+
+  const lines = contentLines(content);
+  const blocks = [];
+  lines.forEach((line, index) => {
+    if (!SIGNATURE_LINE_PATTERN.test(line.text) && !/\/s\//.test(line.text)) return;
+    const first = lines[Math.max(index - 1, 0)];
+    const last = lines[Math.min(index + SIGNATURE_BLOCK_LINES_BELOW, lines.length - 1)];
+    const offset = first.offset;
+    const length = last.offset + last.text.length - offset;
+    blocks.push({ offset, length, text: content.substr(offset, length) });
+  });
+  return blocks;
+}
+
+/**
+ * The date a signer's authority is checked against: a date labelled as the
+ * signing date, else the issue date, else the evaluation date.
+ *
+ * @param {string} content
+ * @param {Array} keyValuePairs
+ * @param {Date} asOf
+ * @returns {string} YYYY-MM-DD.
+ */
+export function resolveSigningDate(content, keyValuePairs, asOf) {
+  const mentions = extractDateMentions(content, keyValuePairs);
+  const signed = mentions.find(mention => mention.role === 'signed');
+  if (signed) return signed.date;
+
+  const issueDate = resolveIssueDate(mentions);
+  return issueDate ? issueDate.date : formatIsoDate(asOf);
+}
+
+/**
+ * Finds a roster signer named on the document.  When several are named,
+ * one who was in office on `signedOn` is preferred.
+ *
+ * @param {Array<{name:string, title?:string, patterns?:string[], effectiveFrom?:string, effectiveTo?:string}>} roster
+ * @param {string} content
+ * @param {string} signedOn YYYY-MM-DD.
+ * @returns {{signer:Object, hit:{text:string, offset:number}, authorized:boolean}|null}
+ */
+export function findRosterSigner(roster, content, signedOn) {
+  const found = [];
+  for (const signer of roster) {
+    const sources = signer.patterns || [signer.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+')];
+    for (const source of sources) {
+      const match = new RegExp(source, 'i').exec(content);
+      if (match) {
+        const authorized = (!signer.effectiveFrom || signedOn >= signer.effectiveFrom) &&
+                           (!signer.effectiveTo || signedOn <= signer.effectiveTo);
+        found.push({ signer, hit: { text: match[0], offset: match.index }, authorized });
+        break;
+      }
+    }
+  }
+  return found.find(entry => entry.authorized) || found[0] || null;
+}
@@ -0,0 +1,137 @@
+import { extractDateMentions } from "./dates.js";
+import { readLeadingName } from "./members.js";
+/**
+ * shared/trade-names.js
+ * =====================
+ * Reads a Certificate of Trade Name – the certificate an individual or a
+ * partnership files with the county clerk to do business under another
+ * name (N.J.S.A. 56:1-2) – for the `tradeName` rule checks and the
+ * response's `documentInfo.tradeNameCertificate`:
+ * • tradeName  – the name the business is conducted under ("… under the
+ *                name of ACME CLEANING", "Trade Name: …").
+ * • owners     – the persons or companies owning or interested in the
+ *                business ("Owner: …", the list under "… each person owning
+ *                or interested in said business").
+ * • county     – the county whose clerk the certificate was filed with.
+ * • filingDate – the date the clerk filed or recorded it.
+ *
+ * Every owner is also an organization-name candidate (see
+ * name-extraction.js), so the usual organization-name check passes when
+ * the legal name matches any of them.
+ */
+
+export const TRADE_NAME_PARTS = ['tradeName', 'owners', 'county', 'filingDate'];
+
+// The 21 counties whose clerks file trade names
+const NJ_COUNTIES = ['Atlantic', 'Bergen', 'Burlington', 'Camden', 'Cape May', 'Cumberland', 'Essex', 'Gloucester', 'Hudson',
+  'Hunterdon', 'Mercer', 'Middlesex', 'Monmouth', 'Morris', 'Ocean', 'Passaic', 'Salem', 'Somerset', 'Sussex', 'Union', 'Warren'];
+const COUNTY_NAMES = NJ_COUNTIES.join('|');
+
+const TRADE_NAME_PATTERN = /\bbusiness\s+under\s+the\s+(?:trade\s+|assumed\s+)?name\s+(?:of\s*)?:?[ \t]*["“]?([^\r\n"”]*?)["”]?[ \t]*(?:,|\bat\b|\blocated\b|\r|\n|$)|\b(?:trade|assumed|business)\s+name\s*:[ \t]*([^\r\n]*)/i;
+const OWNERS_ANCHOR_PATTERN = /\bpersons?\s+owning\s+or\s+interested\s+in\b[^\r\n]*|\b(?:names?\s+of\s+(?:the\s+)?)?(?:owners?|registrants?)(?:\(s\))?(?:['’]s)?(?:\s+names?)?\s*:/i;
+const COUNTY_CLERK_PATTERN = new RegExp(`\\b(?:(${COUNTY_NAMES})\\s+county\\s+clerk|clerk\\s+of\\s+(?:the\\s+)?(?:county\\s+of\\s+)?(${COUNTY_NAMES})(?:\\s+county)?|county\\s+clerk\\s+of\\s+(?:the\\s+county\\s+of\\s+)?(${COUNTY_NAMES}))\\b`, 'i');
+const COUNTY_PATTERN = new RegExp(`\\bcounty\\s+of\\s+(${COUNTY_NAMES})\\b|\\b(${COUNTY_NAMES})\\s+county\\b`, 'i');
+const CLERK_PATTERN = /\bcounty\s+clerk\b/i;
+
+// A line that ends the owner list: the filing, signing or notarial part
+const OWNER_LIST_END_PATTERN = /\b(?:filed|recorded|sworn|subscribed|witness|signature|notary|county\s+clerk)\b/i;
+// "Name: Jane Doe   Address: …" – the labels around each owner's name
+const NAME_LABEL_PATTERN = /^(?:full\s+)?name\s*:\s*/i;
+const ADDRESS_LABEL_PATTERN = /\s{2,}|\baddress\b/i;
+
+// Lines read after the owners' heading
+const OWNER_WINDOW = 8;
+
+/**
+ * Title-cases a county name as it is usually written ("CAPE MAY" → "Cape May").
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function countyName(name) {
+  return NJ_COUNTIES.find(county => county.toLowerCase() === name.toLowerCase().replace(/\s+/g, ' ')) || name;
+}
+
+/**
+ * Reads the owners listed after their heading: one per line, or several
+ * joined by "and" / ";" on the heading's own line.
+ *
+ * @param {string} content
+ * @returns {{value:string[], text:string, offset:number}|null}
+ */
+function readOwners(content) {
+  const anchor = OWNERS_ANCHOR_PATTERN.exec(content);
+  if (!anchor) return null;
+
+  const owners = [];
+  const lineEnd = content.indexOf('\n', anchor.index);
+  const anchorLineEnd = lineEnd === -1 ? content.length : lineEnd;
+  const sameLine = content.slice(anchor.index + anchor[0].length, anchorLineEnd);
+  const lines = [sameLine, ...content.slice(anchorLineEnd + 1).split('\n').slice(0, OWNER_WINDOW)];
+
+  for (const [index, line] of lines.entries()) {
+    if (index > 0 && OWNER_LIST_END_PATTERN.test(line)) break;
+    for (const part of index === 0 ? line.split(/;|\s+and\s+/) : [line]) {
+      const leading = readLeadingName(part.trim().replace(NAME_LABEL_PATTERN, '').split(ADDRESS_LABEL_PATTERN)[0]);
+      if (leading && !owners.includes(leading.name)) owners.push(leading.name);
+    }
+  }
+
+  return { value: owners, text: anchor[0].trim(), offset: anchor.index };
+}
+
+/**
+ * Reads a Certificate of Trade Name.
+ *
+ * @param {Object} analysis
+ * @param {string} analysis.content
+ * @param {Array}  [analysis.keyValuePairs] K/V pairs extracted by FR.
+ * @returns {{tradeName:{value:string, text:string, offset:number}|null,
+ *   owners:{value:string[], text:string, offset:number}|null,
+ *   county:{value:string|null, clerk:boolean, text:string, offset:number}|null,
+ *   filingDate:{value:string, text:string, offset:number}|null}}
+ *   A part is null when the certificate does not state it; `text` /
+ *   `offset` locate its evidence.  `county.clerk` is false when a county
+ *   is named but no county clerk filing is.
+ */
+export function extractTradeNameCertificate({ content, keyValuePairs = [] }) {
+  const text = content || '';
+
+  let tradeName = null;
+  const tradeNameMatch = text.match(TRADE_NAME_PATTERN);
+  if (tradeNameMatch) {
+    let value = (tradeNameMatch[1] || tradeNameMatch[2] || '').trim();
+    let offset = value ? text.indexOf(value, tradeNameMatch.index) : -1;
+    if (!value) {
+      // "… under the name of:" with the name on the next line
+      const start = text.indexOf('\n', tradeNameMatch.index + tradeNameMatch[0].trimEnd().length);
+      const nextLine = start === -1 ? '' : text.slice(start + 1).split('\n').find(line => line.trim()) || '';
+      value = nextLine.trim().replace(/["“”]/g, '');
+      offset = value ? text.indexOf(value, start) : -1;
+    }
+    if (value) tradeName = { value, text: value, offset };
+  }
+
+  let county = null;
+  const clerkMatch = text.match(COUNTY_CLERK_PATTERN);
+  if (clerkMatch) {
+    county = { value: countyName(clerkMatch[1] || clerkMatch[2] || clerkMatch[3]), clerk: true, text: clerkMatch[0], offset: clerkMatch.index };
+  } else {
+    const countyMatch = text.match(COUNTY_PATTERN);
+    const clerk = text.match(CLERK_PATTERN);
+    const evidence = clerk || countyMatch;
+    if (evidence) {
+      county = {
+        value: countyMatch ? countyName(countyMatch[1] || countyMatch[2]) : null,
+        clerk: Boolean(clerk),
+        text: evidence[0],
+        offset: evidence.index
+      };
+    }
+  }
+
+  const filed = extractDateMentions(text, keyValuePairs).find(mention => mention.role === 'filed');
+  const filingDate = filed ? { value: filed.date, text: filed.text, offset: filed.offset } : null;
+
+  return { tradeName, owners: readOwners(text), county, filingDate };
+}
@@ -0,0 +1,95 @@
+import { loadRuleDefinitions, evaluateDocumentRules, applyProgramProfile } from "./rule-engine.js";
+/**
+ * shared/validators.js
+ * ====================
+ * Entry point for the per-document business rules.  Every supported
+ * `documentType` is described declaratively in `rules/document-types.json`
+ * (required phrases, alternatives, reject phrases, date windows, signature
+ * checks with their signer rosters, certificate verification, business
+ * registry lookups and name-extraction anchors) and evaluated by the generic
+ * engine in `rule-engine.js`.  The result has the shape:
+ * { missingElements: string[], suggestedActions: string[], findings: Object[], detectedOrganizationName?: string,
+ *   organizationNameCandidates?: Object[], memberRoster?: Object|null,
+ *   incorporation?: Object|null, exemption?: Object|null,
+ *   tradeNameCertificate?: Object|null }
+ *
+ * Shared by the `validate-document` (single file) and `validate-packet`
+ * (whole application) functions so both apply identical rules.
+ *
+ * To add or change a document type, edit the rule file – no validator
+ * function needs to be written.  Program profiles (the `programs` section
+ * of the same file) adapt the rules to the incentive program applied for.
+ */
+
+/**
+ * Routes the analysis results to the rule definition for the requested
+ * `documentType`.  Think of this as a dispatcher/switchboard: the rules
+ * themselves live in `rules/document-types.json` (plus the optional
+ * DOCUMENT_RULES_PATH override) and are evaluated by `rule-engine.js`.
+ *
+ * @param {Object} options               Composite bag of properties.
+ * @param {string} options.documentType  One of the doc types defined in
+ *                                       the rule file(s).
+ * @param {string} options.content       Raw OCR text from Azure FR.
+ * @param {string} options.contentLower  Lower-cased variant (perf optimiser).
+ * @param {Array}  options.pages         Pages array from FR – locates evidence.
+ * @param {Array}  options.languages     Language detection metadata.
+ * @param {Array}  options.styles        Style spans (handwriting lowers confidence).
+ * @param {Array}  options.tables        Detected tables (members, directors, incorporators).
+ * @param {Array}  options.keyValuePairs Key/value pairs (important!).
+ * @param {Array}  options.entities      Named entities (organizations become name candidates).
+ * @param {Object} options.formFields    User-provided form context (org/FEIN).
+ * @param {string} [options.program]     Program profile that adapts the rules (see `resolveProgram`).
+ * @param {Date}   [options.asOf]        Evaluation date for freshness windows (default today).
+ * @param {Array}  [options.seals]       Seals and stamps found on the page images (see seals.js).
+ * @param {Object} [options.verification] The certificate's confirmation by its issuer (see certificates.js).
+ * @param {Object} [options.registryLookup] The entity's business registry record (see business-registry.js).
+ * @returns {{missingElements:string[], suggestedActions:string[], findings:Object[], detectedOrganizationName?:string, organizationNameCandidates?:Object[], memberRoster?:Object|null, incorporation?:Object|null, exemption?:Object|null, tradeNameCertificate?:Object|null}}
+ */
+export function validateDocumentByType(options) {
+  const { documentType, content, contentLower, pages, languages, styles, tables, keyValuePairs, entities, formFields, program, asOf, seals, verification, registryLookup } = options;
+  
+  const { documentTypes, signerRosters, sealTemplates } = loadRuleDefinitions();
+  const definition = documentTypes[documentType];
+
+  if (!definition) {
+    return { 
+      missingElements: ["Unknown document type"],
+      suggestedActions: ["Select a valid document type and try again"],
+      findings: [{
+        code: 'unknown-document-type',
+        checkType: 'documentType',
+        severity: 'error',
+        status: 'fail',
+        description: "Document type is supported",
+        message: "Unknown document type",
+        suggestedAction: "Select a valid document type and try again",
+        evidence: null,
+        confidence: 1
+      }]
+    };
+  }
+
+  const adaptedDefinition = applyProgramProfile(definition, documentType, resolveProgram(program));
+
+  return evaluateDocumentRules(adaptedDefinition, { content, contentLower, keyValuePairs, pages, styles, tables, entities, formFields, asOf, signerRosters, seals, sealTemplates, verification, registryLookup });
+}
+
+/**
+ * Looks up a program defined in the rule file(s).  Handlers call this while
+ * parsing the request so an unknown program is rejected before any file
+ * is analysed.
+ *
+ * @param {string} [program] Program key; empty for no program policy.
+ * @returns {Object|null} The program profile, or null when no program was given.
+ * @throws {Error} When the program is not defined.
+ */
+export function resolveProgram(program) {
+  if (!program) return null;
+
+  const { programs } = loadRuleDefinitions();
+  if (!Object.prototype.hasOwnProperty.call(programs, program)) {
+    throw new Error(`Unknown program "${program}"`);
+  }
+  return programs[program];
+}
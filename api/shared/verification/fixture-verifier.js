@@ -0,0 +1,65 @@
+import { readFileSync, existsSync } from "fs";
+import { fileURLToPath } from "url";
+/**
+ * shared/verification/fixture-verifier.js
+ * =======================================
+ * Certificate verifier backed by a local JSON file instead of the issuing
+ * authority's lookup service.  Used in development, CI and demos, and as a
+ * stand-in until a live verifier is connected.
+ *
+ * Fixture file layout – records of issued certificates per authority (the
+ * authority named in the document type's `verification` entry):
+ * {
+ *   "<authority>": [
+ *     { serialNumber, status: "valid" | "revoked", applicantId?,
+ *       taxpayerName?, issueDate? }
+ *   ]
+ * }
+ * Serial numbers are compared without spaces and dashes.  The file is
+ * re-read on every lookup so records can be edited while the host runs.
+ */
+
+const BUNDLED_FIXTURES_PATH = fileURLToPath(new URL("./fixtures/certificates.json", import.meta.url));
+
+/**
+ * Reduces a serial number to the characters that identify it.
+ *
+ * @param {string} serialNumber
+ * @returns {string}
+ */
+function normalizeSerialNumber(serialNumber) {
+  return String(serialNumber).replace(/[\s-]/g, '').toUpperCase();
+}
+
+/**
+ * Creates the fixture-backed verifier.
+ *
+ * @param {{fixturesPath?:string}} options Fixture file; defaults to the bundled sample.
+ * @returns {import("./index.js").CertificateVerifier}
+ */
+export function createFixtureVerifier({ fixturesPath }) {
+  const path = fixturesPath || BUNDLED_FIXTURES_PATH;
+
+  return {
+    name: 'fixture',
+
+    configurationError: existsSync(path) ? null : `Certificate fixture file ${path} does not exist`,
+
+    async lookup({ authority, serialNumber }) {
+      let fixtures;
+      try {
+        fixtures = JSON.parse(readFileSync(path, 'utf8'));
+      } catch (error) {
+        throw new Error(`Could not read certificate fixture file ${path}: ${error.message}`);
+      }
+
+      const records = fixtures[authority] || [];
+      if (!Array.isArray(records)) {
+        throw new Error(`Certificate fixture file ${path} has an "${authority}" entry that is not an array`);
+      }
+
+      const wanted = normalizeSerialNumber(serialNumber);
+      return records.find(record => record.serialNumber && normalizeSerialNumber(record.serialNumber) === wanted) || null;
+    }
+  };
+}
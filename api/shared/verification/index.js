@@ -0,0 +1,71 @@
+import { createFixtureVerifier } from "./fixture-verifier.js";
+/**
+ * shared/verification/index.js
+ * ============================
+ * Selects the certificate verifier: the lookup that confirms a certificate
+ * with the authority that issued it (for NJ tax clearance certificates, the
+ * Division of Taxation).  Document types opt in with a `verification`
+ * entry in the rule file; `certificates.js` extracts the identifying fields
+ * and compares them with the record the verifier returns.
+ *
+ * Verifiers
+ * ---------
+ * • none (default) – no lookup; verification checks are skipped.
+ * • fixture        – answers from a local JSON file of issued certificates,
+ *                    see fixture-verifier.js.  Lets the verification path
+ *                    be built and tested without the real state service.
+ *
+ * A verifier for a live service implements the same `lookup` and is added
+ * to the switch below.
+ *
+ * Environment Variables
+ * ---------------------
+ * • CERTIFICATE_VERIFIER  : "none" | "fixture" (defaults to "none").
+ * • CERTIFICATE_FIXTURES_PATH : JSON file read by the fixture verifier
+ *                               (defaults to the bundled sample in fixtures/).
+ */
+
+/**
+ * @typedef {Object} CertificateRecord
+ * @property {string} serialNumber
+ * @property {'valid'|'revoked'} status
+ * @property {string} [applicantId]   As issued, e.g. "12-3456789/000".
+ * @property {string} [taxpayerName]
+ * @property {string} [issueDate]     YYYY-MM-DD.
+ */
+
+/**
+ * @typedef {Object} CertificateVerifier
+ * @property {string}      name               Verifier identifier reported with the result.
+ * @property {string|null} configurationError Human-readable reason the verifier cannot run, or null.
+ * @property {(query:{authority:string, serialNumber:string}) => Promise<CertificateRecord|null>} lookup
+ *   Resolves to the authority's record for the serial number, or null when
+ *   it has none; rejects when the authority cannot be reached.
+ */
+
+/**
+ * Returns the verifier selected by CERTIFICATE_VERIFIER, or null when
+ * certificates are not verified.
+ *
+ * @returns {CertificateVerifier|null}
+ */
+export function getCertificateVerifier() {
+  const verifierName = (process.env.CERTIFICATE_VERIFIER || 'none').toLowerCase();
+
+  switch (verifierName) {
+    case 'none':
+      return null;
+    case 'fixture':
+      return createFixtureVerifier({
+        fixturesPath: process.env.CERTIFICATE_FIXTURES_PATH
+      });
+    default:
+      return {
+        name: verifierName,
+        configurationError: `Unknown CERTIFICATE_VERIFIER "${verifierName}"`,
+        lookup: async () => {
+          throw new Error(`Unknown CERTIFICATE_VERIFIER "${verifierName}"`);
+        }
+      };
+  }
+}
@@ -0,0 +1,251 @@
+import { getAnalysisConfigurationError, validateDocumentFile } from "../shared/document-analysis.js";
+import { decodeFilePayload, parseAsOfDate } from "../shared/request.js";
+import { resolveProgram } from "../shared/validators.js";
+import { checkPacketConsistency } from "../shared/consistency.js";
+/**
+ * validate-packet (Azure Function)
+ * ================================
+ * Batch counterpart of `validate-document`.  Reviewers typically receive
+ * 5–8 documents per applicant; this endpoint validates the whole
+ * application packet in one call and returns a per-document breakdown
+ * plus a packet-level verdict.
+ *
+ * Runtime
+ * -------
+ * • Node.js in an Azure Functions environment.
+ * • Trigger: HTTP(S) POST; see `function.json` for details.
+ *
+ * Request Schema (JSON)
+ * --------------------
+ * {
+ *   organizationName?:      string (shared by every document),
+ *   fein?:                  string (shared by every document),
+ *   dbaName?:               string (shared by every document),
+ *   requiredDocumentTypes?: string[] (checklist used for completeness;
+ *                                     defaults to the program's checklist),
+ *   program?:               string (program profile – checklist, required
+ *                                   fields and rule overrides; see
+ *                                   `programs` in the rule file),
+ *   asOfDate?:              string (YYYY-MM-DD evaluation date, e.g. the
+ *                                   submission date – default today),
+ *   documents: [
+ *     {
+ *       file:         string (base64-encoded binary of the document),
+ *       fileType:     string (Mime-type),
+ *       fileName:     string,
+ *       documentType: string (same values as validate-document, incl. "auto")
+ *     }
+ *   ]
+ * }
+ *
+ * Response Schema (JSON)
+ * ---------------------
+ * {
+ *   success:              boolean  (complete, consistent AND every document passed),
+ *   verdict:              "pass" | "fail" | "needs-review" (fail when incomplete,
+ *                          inconsistent or any document failed; needs-review
+ *                          when any document needs review),
+ *   complete:             boolean  (every required type was submitted),
+ *   missingDocumentTypes: string[],
+ *   summary:              { total, passed, failed, needsReview },
+ *   consistency:          { consistent, issues: [{ check, message, documents }] },
+ *   documents:            [{ fileName, documentType, success, verdict, confidence,
+ *                            missingElements, suggestedActions, findings, classification,
+ *                            integrity, verification, registryLookup, extractedFields,
+ *                            documentInfo, organizationNameMatches } |
+ *                          { fileName, documentType, success: false, error }]
+ * }
+ *
+ * The consistency section compares names, FEIN / Applicant IDs and dates
+ * detected on the documents against each other (see shared/consistency.js).
+ *
+ * A document that cannot be analysed (e.g. Form Recognizer rejects it) is
+ * reported with an `error` entry instead of failing the whole packet.
+ */
+
+// Upper bound on documents per request; keeps the call inside the
+// five-minute function timeout configured in host.json.
+const MAX_PACKET_DOCUMENTS = 10;
+
+/**
+ * Parses the HTTP request body (JSON) and decodes every document in the
+ * packet.  Throws with a caller-facing message when the shape is invalid.
+ *
+ * @param {import('@azure/functions').HttpRequest} req
+ * @returns {{documents:Array<{file:{data:Buffer,type:string,name:string},documentType:string}>, organizationName:string, fein:string, dbaName:string, requiredDocumentTypes:string[], program:string, asOf:Date}}
+ */
+const parsePacketRequest = (req) => {
+  // Expect JSON body with an array of base64 encoded files
+  if (!req.body || typeof req.body !== 'object') {
+    throw new Error("Expected JSON request body");
+  }
+
+  const { documents, organizationName, fein, dbaName, requiredDocumentTypes, program, asOfDate } = req.body;
+
+  if (!Array.isArray(documents) || documents.length === 0) {
+    throw new Error("Expected a non-empty 'documents' array");
+  }
+
+  if (documents.length > MAX_PACKET_DOCUMENTS) {
+    throw new Error(`A packet may contain at most ${MAX_PACKET_DOCUMENTS} documents`);
+  }
+
+  const programProfile = resolveProgram(program);
+
+  return {
+    documents: documents.map((document, index) => {
+      if (!document || !document.documentType) {
+        throw new Error(`Document ${index + 1} is missing a documentType`);
+      }
+      return {
+        file: decodeFilePayload(document),
+        documentType: document.documentType
+      };
+    }),
+    organizationName: organizationName || "",
+    fein: fein || "",
+    dbaName: dbaName || "",
+    requiredDocumentTypes: Array.isArray(requiredDocumentTypes)
+      ? requiredDocumentTypes
+      : (programProfile?.requiredDocumentTypes || []),
+    program: program || "",
+    asOf: parseAsOfDate(asOfDate)
+  };
+};
+
+/**
+ * Combines per-document results into the packet-level verdict.
+ *
+ * @param {Array<{documentType:string, success:boolean, verdict?:string}>} documentResults
+ * @param {string[]} requiredDocumentTypes
+ * @returns {{success:boolean, verdict:string, complete:boolean, missingDocumentTypes:string[], summary:{total:number, passed:number, failed:number, needsReview:number}, consistency:Object}}
+ */
+function summarizePacket(documentResults, requiredDocumentTypes) {
+  const submittedTypes = new Set(documentResults.map(result => result.documentType));
+  const missingDocumentTypes = requiredDocumentTypes.filter(type => !submittedTypes.has(type));
+  const passed = documentResults.filter(result => result.success).length;
+  const complete = missingDocumentTypes.length === 0;
+  const consistency = checkPacketConsistency(documentResults);
+  // Documents that could not be analysed have no verdict and count as failed
+  const verdicts = documentResults.map(result => result.verdict || 'fail');
+
+  let verdict = 'pass';
+  if (!complete || !consistency.consistent || verdicts.includes('fail')) {
+    verdict = 'fail';
+  } else if (verdicts.includes('needs-review')) {
+    verdict = 'needs-review';
+  }
+
+  return {
+    success: complete && consistency.consistent && passed === documentResults.length,
+    verdict,
+    complete,
+    missingDocumentTypes,
+    summary: {
+      total: documentResults.length,
+      passed,
+      failed: documentResults.length - passed,
+      needsReview: verdicts.filter(documentVerdict => documentVerdict === 'needs-review').length
+    },
+    consistency
+  };
+}
+
+/**
+ * Azure Functions HTTP trigger entry-point.  Validates each document of the
+ * packet in parallel and returns the combined JSON result.
+ *
+ * @param {import('@azure/functions').Context} context  Function runtime context.
+ * @param {import('@azure/functions').HttpRequest} req  Incoming HTTP request.
+ * @returns {Promise<void>}                            Response is written via `context.res`.
+ */
+export default async (context, req) => {
+  context.log('Validate packet function processed a request.');
+
+  // Enable CORS
+  context.res = {
+    headers: {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Content-Type': 'application/json'
+    }
+  };
+
+  // Handle preflight OPTIONS request
+  if (req.method === 'OPTIONS') {
+    context.res.status = 200;
+    return;
+  }
+
+  let timeoutHandle;
+  try {
+    // Validate environment variables
+    const configurationError = getAnalysisConfigurationError();
+    if (configurationError) {
+      context.log.error(`Analysis provider is not configured: ${configurationError}`);
+      context.res = {
+        ...context.res,
+        status: 500,
+        body: { error: `Server configuration error: ${configurationError}` }
+      };
+      return;
+    }
+
+    // Set a timeout to abort if processing takes too long
+    const timeoutPromise = new Promise((_, reject) => {
+      timeoutHandle = setTimeout(() => reject(new Error("Processing timeout")), 240000); // 4 minute timeout
+    });
+
+    // Main processing function
+    const processingPromise = async () => {
+      const { documents, organizationName, fein, dbaName, requiredDocumentTypes, program, asOf } = parsePacketRequest(req);
+      const formFields = { organizationName, fein, dbaName };
+
+      const documentResults = await Promise.all(documents.map(async ({ file, documentType }) => {
+        try {
+          const result = await validateDocumentFile({ file, documentType, formFields, program, asOf });
+          // "auto" documents count toward the checklist as their detected type
+          return { fileName: file.name, documentType: result.documentInfo.documentType || documentType, ...result };
+        } catch (error) {
+          context.log.error(`Error validating ${file.name}:`, error);
+          return {
+            fileName: file.name,
+            documentType,
+            success: false,
+            error: error.message || "Failed to validate document"
+          };
+        }
+      }));
+
+      context.res = {
+        ...context.res,
+        status: 200,
+        body: {
+          ...summarizePacket(documentResults, requiredDocumentTypes),
+          documents: documentResults
+        }
+      };
+    };
+
+    // Race between processing and timeout
+    await Promise.race([processingPromise(), timeoutPromise]);
+
+  } catch (error) {
+    context.log.error("Error in packet validation:", error);
+
+    const statusCode = error.message === "Processing timeout" ? 504 : 500;
+    const errorMessage = error.message === "Processing timeout"
+      ? "Request timed out. Packet processing took too long."
+      : error.message || "Failed to validate packet";
+
+    context.res = {
+      ...context.res,
+      status: statusCode,
+      body: { error: errorMessage }
+    };
+  } finally {
+    // Do not leave the four-minute timer pending once the response is set
+    clearTimeout(timeoutHandle);
+  }
+};
@@ -10,35 +10,47 @@
  * 1.  Provides the page layout, theming (light / dark) and responsive grid.
  * 2.  Orchestrates all UI sub-components:
  *     - Header
+ *     - ProgramSelector
  *     - DocumentTypeSelector
  *     - FormFields
  *     - FileUploadArea
  *     - ValidationButton
  *     - ErrorMessage
- *     - ValidationResults
+ *     - ValidationResults (with EvidencePreview)
  * 3.  Manages application state via React hooks:
  *     • file / fileName                      – uploaded document reference
  *     • isUploading                          – loading spinner flag
  *     • validationResult                     – JSON returned from API
  *     • error                                – human-readable error message
+ *     • formRules                            – document types and programs
+ *                                              served by /api/document-rules
+ *     • program                              – selected program profile
  *     • documentType                         – selected doc-type option
- *     • formFields / requiredFields          – dynamic form data + validation
+ *     • formFields                           – dynamic form data; the required
+ *                                              fields come from the program
+ *                                              profile (api/shared/program-profiles.js)
  *     • fieldErrors                          – per-field validation messages
  *     • drag & drop state (isDragOver, …)    – UX niceties
  *     • isDarkMode                           – user-/system-preferred theme
- * 4.  Validates user input before making the /api/validate-document call.
- * 5.  Converts the file into base64 so it can be transported as JSON.
+ * 4.  Loads the document types and program profiles from
+ *     GET /api/document-rules, so a DOCUMENT_RULES_PATH override reaches
+ *     the form (the bundled rule file is shown until it answers).
+ * 5.  Validates user input before making the /api/validate-document call
+ *     (the FEIN with the API's own api/shared/fein.js rules).
+ * 6.  Converts the file into base64 so it can be transported as JSON.
  *
  * Network contract
  * ---------------
  * Expects POST /api/validate-document with the schema:
  * {
  *   file:           <string  – base64>,
- *   documentType:   <string>,
+ *   documentType:   <string – a rule-file type or "auto">,
  *   fileType:       <string mime-type>,
  *   fileName:       <string>,
  *   organizationName?: <string>,
- *   fein?:            <string>
+ *   fein?:            <string>,
+ *   dbaName?:         <string>,
+ *   program?:         <string>
  * }
  * and renders the response in the ValidationResults panel.
  *
@@ -50,12 +62,23 @@
 
 import { useState, useEffect } from 'react';
 import Header from './Header';
+import ProgramSelector from './ProgramSelector';
 import DocumentTypeSelector from './DocumentTypeSelector';
 import FormFields from './FormFields';
 import FileUploadArea from './FileUploadArea';
 import ValidationButton from './ValidationButton';
 import ErrorMessage from './ErrorMessage';
 import ValidationResults from './ValidationResults';
+import { validateFein } from '../api/shared/fein';
+import {
+  FORM_FIELDS,
+  getFormRules,
+  listDocumentTypes,
+  listPrograms,
+  getRequiredFields,
+  getRequiredDocumentTypes
+} from '../api/shared/program-profiles';
+import ruleFile from '../api/shared/rules/document-types.json';
 
 // Add a configurable base URL for the API so that local development can point
 // to a separately-hosted Azure Functions instance (e.g. http://localhost:7071).
@@ -63,25 +86,29 @@ import ValidationResults from './ValidationResults';
 // production (Static Web Apps serves frontend & API under the same host).
 const API_BASE_URL = (process.env.NEXT_PUBLIC_API_BASE_URL || '').replace(/\/$/, '');
 
+// "auto" lets the API classify the upload itself
+const AUTO_DOCUMENT_TYPE = 'auto';
+const BUNDLED_FORM_RULES = getFormRules(ruleFile);
+
 export default function DocumentValidator() {
+  const [formRules, setFormRules] = useState(BUNDLED_FORM_RULES);
   const [file, setFile] = useState(null);
   const [fileName, setFileName] = useState('');
   const [isUploading, setIsUploading] = useState(false);
   const [validationResult, setValidationResult] = useState(null);
   const [error, setError] = useState(null);
+  const [program, setProgram] = useState('');
   const [documentType, setDocumentType] = useState('tax-clearance-online');
   const [formFields, setFormFields] = useState({
     organizationName: '',
-    fein: ''
-  });
-  const [requiredFields, setRequiredFields] = useState({
-    organizationName: false,
-    fein: false
+    fein: '',
+    dbaName: ''
   });
   // Add validation error states
   const [fieldErrors, setFieldErrors] = useState({
     organizationName: '',
-    fein: ''
+    fein: '',
+    dbaName: ''
   });
   // Add drag & drop states
   const [isDragOver, setIsDragOver] = useState(false);
@@ -102,6 +129,20 @@ export default function DocumentValidator() {
     }
   }, []);
 
+  // Load the API's rules so the form and the API agree, override included
+  useEffect(() => {
+    let cancelled = false;
+    fetch(`${API_BASE_URL}/api/document-rules`)
+      .then(response => (response.ok ? response.json() : Promise.reject(new Error(response.statusText))))
+      .then(rules => {
+        if (!cancelled) setFormRules(rules);
+      })
+      .catch(err => console.error('Error loading document rules:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
   // Save theme to localStorage when changed
   useEffect(() => {
     localStorage.setItem('theme', isDarkMode ? 'dark' : 'light');
@@ -111,51 +152,30 @@ export default function DocumentValidator() {
     setIsDarkMode(!isDarkMode);
   };
 
-  const documentTypes =  [
-    { value: 'tax-clearance-online', label: 'Tax Clearance Certificate (Online)' },
-    { value: 'tax-clearance-manual', label: 'Tax Clearance Certificate (Manually Generated)' },
-    { value: 'cert-alternative-name', label: 'Certificate of Alternative Name' },
-    { value: 'cert-trade-name', label: 'Certificate of Trade Name' },
-    { value: 'cert-formation', label: 'Certificate of Formation' },
-    { value: 'cert-formation-independent', label: 'Certificate of Formation - Independent' },
-    { value: 'operating-agreement', label: 'Operating Agreement' },
-    { value: 'cert-incorporation', label: 'Certificate of Incorporation' },
-    { value: 'irs-determination', label: 'IRS Determination Letter' },
-    { value: 'bylaws', label: 'By-laws' },
-    { value: 'cert-authority', label: 'Certificate of Authority' }
+  // Required fields for the selected document type under the selected program.
+  // With "auto" the type is unknown until the API has classified the upload,
+  // so every field is offered and none is enforced here.
+  const documentTypes = [
+    { value: AUTO_DOCUMENT_TYPE, label: 'Detect automatically' },
+    ...listDocumentTypes(formRules)
   ];
+  const programs = listPrograms(formRules);
+  const isAutoType = documentType === AUTO_DOCUMENT_TYPE;
+  const requiredFieldNames = isAutoType ? [] : getRequiredFields(formRules, documentType, program);
+  const requiredFields = Object.fromEntries(
+    Object.keys(FORM_FIELDS).map(field => [field, requiredFieldNames.includes(field)])
+  );
+  const optionalFields = Object.fromEntries(
+    Object.keys(FORM_FIELDS).map(field => [field, isAutoType])
+  );
+  const requiredDocumentTypes = getRequiredDocumentTypes(formRules, program)
+    .map(type => documentTypes.find(option => option.value === type) || { value: type, label: type });
 
-  // Set required fields based on document type
+  // Reset validation result when the document type or program changes
   useEffect(() => {
-    const newRequiredFields = {
-      organizationName: false,
-      fein: false
-    };
-    
-    switch(documentType) {
-      case 'tax-clearance-online':
-      case 'tax-clearance-manual':
-        newRequiredFields.organizationName = true;
-        newRequiredFields.fein = true;
-        break;
-      case 'operating-agreement':
-      case 'cert-formation':
-      case 'cert-formation-independent':
-      case 'cert-incorporation':
-      case 'cert-authority':
-      case 'cert-alternative-name':
-        newRequiredFields.organizationName = true;
-        break;
-      default:
-        break;
-    }
-    
-    setRequiredFields(newRequiredFields);
-    
-    // Reset validation result when document type changes
     setValidationResult(null);
     setError(null);
-  }, [documentType]);
+  }, [documentType, program]);
 
   // Enhanced file handling function
   const handleFile = (selectedFile) => {
@@ -256,9 +276,21 @@ export default function DocumentValidator() {
       isValid = false;
     }
 
+    if (requiredFields.dbaName && !formFields.dbaName.trim()) {
+      errors.dbaName = 'DBA (Trade Name) is required';
+      isValid = false;
+    }
+
     if (requiredFields.fein && !formFields.fein.trim()) {
       errors.fein = 'FEIN is required';
       isValid = false;
+    } else if (formFields.fein.trim()) {
+      // Same rules as the API (format XX-XXXXXXX, valid IRS prefix)
+      const { valid, error } = validateFein(formFields.fein);
+      if (!valid) {
+        errors.fein = error;
+        isValid = false;
+      }
     }
 
     setFieldErrors(errors);
@@ -288,7 +320,7 @@ export default function DocumentValidator() {
     
     // Validate required fields first
     if (!validateRequiredFields()) {
-      setError('Please fill in all required fields');
+      setError('Please fill in all required fields correctly');
       return;
     }
     
@@ -305,7 +337,9 @@ export default function DocumentValidator() {
         documentType: documentType,
         fileType: file.type,
         fileName: file.name,
-        ...formFields // Spread the form fields (organizationName, fein)
+        ...formFields, // Spread the form fields (organizationName, fein, dbaName)
+        fein: validateFein(formFields.fein).normalized || formFields.fein,
+        ...(program ? { program } : {})
       };
 
       // Call your API route with JSON payload
@@ -350,6 +384,14 @@ export default function DocumentValidator() {
                 ? 'bg-gray-800/80 border-gray-700/20'
                 : 'bg-white/80 border-white/20'
             } backdrop-blur-sm p-4 sm:p-5 md:p-5 rounded-2xl shadow-xl border transition-all duration-300 h-full`}>
+              <ProgramSelector
+                program={program}
+                setProgram={setProgram}
+                programs={programs}
+                requiredDocumentTypes={requiredDocumentTypes}
+                isDarkMode={isDarkMode}
+              />
+
               <DocumentTypeSelector 
                 documentType={documentType}
                 setDocumentType={setDocumentType}
@@ -359,6 +401,7 @@ export default function DocumentValidator() {
               
               <FormFields 
                 requiredFields={requiredFields}
+                optionalFields={optionalFields}
                 formFields={formFields}
                 handleInputChange={handleInputChange}
                 fieldErrors={fieldErrors}
@@ -394,7 +437,7 @@ export default function DocumentValidator() {
                 ? 'bg-gray-800/80 border-gray-700/20'
                 : 'bg-white/80 border-white/20'
             } backdrop-blur-sm p-6 rounded-2xl shadow-xl border transition-all duration-300 h-full`}>
-              <ValidationResults validationResult={validationResult} isDarkMode={isDarkMode} />
+              <ValidationResults validationResult={validationResult} file={file} isDarkMode={isDarkMode} />
             </div>
           </div>
         </div>
@@ -0,0 +1,209 @@
+'use client';
+/**
+ * EvidencePreview.jsx
+ * -------------------
+ * Shows every check the backend ran (structured `findings`) next to a
+ * page preview on which the evidence of each check is highlighted, so a
+ * reviewer can see *why* a check passed or failed.
+ *
+ * The preview is drawn as an SVG in the page's own coordinate system
+ * (`documentInfo.pageLayouts`, inches for PDFs / pixels for images):
+ *   • image uploads   → the uploaded image is used as the page background
+ *   • everything else → the recognised words are drawn at their positions
+ * Evidence `boundingRegions` are overlaid on top – green for the evidence
+ * of a passed check, red for that of a failed one (e.g. text that tripped
+ * a reject rule).  A new result clears the selection and shows page 1.
+ *
+ * Props
+ * -----
+ * • findings:    Array<{ code, checkType, status, description, message, evidence, confidence, details }>
+ *                (confidences below `reviewThreshold` are emphasised;
+ *                organization-name findings also explain why the names
+ *                were judged equal or different, from `details.reason`
+ *                and `details.normalized`)
+ * • reviewThreshold: number – the API's review threshold, returned as the
+ *                response's `reviewThreshold`
+ * • pageLayouts: Array<{ pageNumber, width, height, unit, words }>
+ * • file:        File | null – the uploaded document (image background)
+ * • isDarkMode:  boolean
+ */
+
+import { useEffect, useState } from 'react';
+import { CheckCircle, AlertCircle, MinusCircle } from 'lucide-react';
+
+// Turns a Form Recognizer polygon into an SVG `points` attribute
+const toPoints = (polygon) => polygon.map(point => `${point.x},${point.y}`).join(' ');
+
+const STATUS_ICONS = {
+  pass: { Icon: CheckCircle, className: 'text-emerald-500' },
+  fail: { Icon: AlertCircle, className: 'text-red-500' },
+  skipped: { Icon: MinusCircle, className: 'text-gray-400' }
+};
+
+export default function EvidencePreview({ findings, reviewThreshold, pageLayouts, file, isDarkMode }) {
+  const [selectedCode, setSelectedCode] = useState(null);
+  // null shows the first page
+  const [pageNumber, setPageNumber] = useState(null);
+  const [imageUrl, setImageUrl] = useState(null);
+
+  // Re-validating replaces the result without unmounting: start it afresh
+  useEffect(() => {
+    setSelectedCode(null);
+    setPageNumber(null);
+  }, [findings]);
+
+  // Only image uploads can be shown as-is; other formats are redrawn from words
+  useEffect(() => {
+    if (!file || !file.type || !file.type.startsWith('image/')) {
+      setImageUrl(null);
+      return;
+    }
+    const url = URL.createObjectURL(file);
+    setImageUrl(url);
+    return () => URL.revokeObjectURL(url);
+  }, [file]);
+
+  const page = pageLayouts.find(layout => layout.pageNumber === pageNumber) || pageLayouts[0];
+  const regions = page
+    ? findings.flatMap(finding =>
+        (finding.evidence?.boundingRegions || [])
+          .filter(region => region.pageNumber === page.pageNumber)
+          .map((region, index) => ({ ...region, key: `${finding.code}-${index}`, code: finding.code, status: finding.status }))
+      )
+    : [];
+
+  const selectFinding = (finding) => {
+    setSelectedCode(finding.code);
+    const region = finding.evidence?.boundingRegions?.[0];
+    if (region) {
+      setPageNumber(region.pageNumber);
+    }
+  };
+
+  return (
+    <div className={`mb-8 p-6 border rounded-2xl shadow-lg backdrop-blur-sm ${
+      isDarkMode
+        ? 'bg-gray-800/70 border-gray-700/50'
+        : 'bg-white/70 border-gray-200/50'
+    }`}>
+      <p className={`text-sm md:text-base font-bold mb-4 ${
+        isDarkMode ? 'text-gray-200' : 'text-gray-800'
+      }`}>Checks</p>
+
+      <ul className="space-y-2 mb-6">
+        {findings.map(finding => {
+          const { Icon, className } = STATUS_ICONS[finding.status] || STATUS_ICONS.skipped;
+          const isSelected = finding.code === selectedCode;
+          return (
+            <li key={finding.code}>
+              <button
+                type="button"
+                onClick={() => selectFinding(finding)}
+                className={`w-full flex items-start text-left px-3 py-2 rounded-xl transition-colors ${
+                  isSelected
+                    ? isDarkMode ? 'bg-gray-700' : 'bg-blue-50'
+                    : isDarkMode ? 'hover:bg-gray-700/50' : 'hover:bg-gray-50'
+                }`}
+              >
+                <Icon className={`h-4 w-4 mt-0.5 mr-3 flex-shrink-0 ${className}`} />
+                <span className={`text-xs md:text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                  {finding.status === 'fail' ? finding.message : finding.description}
+                  {finding.evidence?.text && (
+                    <span className={`block italic ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                      &ldquo;{finding.evidence.text}&rdquo;{finding.evidence.page ? ` – page ${finding.evidence.page}` : ''}
+                    </span>
+                  )}
+                  {(finding.checkType === 'organizationName' || finding.checkType === 'tradeName') && finding.details?.reason && (
+                    <span className={`block text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                      {finding.details.reason}
+                      {finding.details.normalized && (
+                        <span className="block">
+                          Compared &ldquo;{finding.details.normalized.first}&rdquo; with &ldquo;{finding.details.normalized.second}&rdquo;
+                        </span>
+                      )}
+                    </span>
+                  )}
+                  {typeof finding.confidence === 'number' && (
+                    <span className={`block text-xs ${
+                      finding.confidence < reviewThreshold
+                        ? 'text-amber-500 font-semibold'
+                        : isDarkMode ? 'text-gray-500' : 'text-gray-400'
+                    }`}>
+                      Confidence {Math.round(finding.confidence * 100)}%
+                    </span>
+                  )}
+                </span>
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+
+      {page && (
+        <>
+          {pageLayouts.length > 1 && (
+            <div className="flex flex-wrap gap-2 mb-3">
+              {pageLayouts.map(layout => (
+                <button
+                  key={layout.pageNumber}
+                  type="button"
+                  onClick={() => setPageNumber(layout.pageNumber)}
+                  className={`px-3 py-1 text-xs rounded-lg border ${
+                    layout.pageNumber === page.pageNumber
+                      ? 'bg-blue-500 border-blue-500 text-white'
+                      : isDarkMode ? 'border-gray-600 text-gray-300' : 'border-gray-300 text-gray-700'
+                  }`}
+                >
+                  Page {layout.pageNumber}
+                </button>
+              ))}
+            </div>
+          )}
+
+          <svg
+            viewBox={`0 0 ${page.width} ${page.height}`}
+            className="w-full h-auto rounded-xl border border-gray-300 bg-white shadow-inner"
+            role="img"
+            aria-label={`Preview of page ${page.pageNumber} with evidence highlighted`}
+          >
+            {imageUrl && page.unit === 'pixel' ? (
+              <image href={imageUrl} x="0" y="0" width={page.width} height={page.height} />
+            ) : (
+              page.words.map((word, index) => {
+                const top = word.polygon[0].y;
+                const bottom = word.polygon[word.polygon.length - 1].y;
+                const width = word.polygon[1].x - word.polygon[0].x;
+                return (
+                  <text
+                    key={index}
+                    x={word.polygon[0].x}
+                    y={bottom}
+                    fontSize={(bottom - top) * 0.9}
+                    textLength={width > 0 ? width : undefined}
+                    lengthAdjust="spacingAndGlyphs"
+                    fill="#374151"
+                  >
+                    {word.content}
+                  </text>
+                );
+              })
+            )}
+
+            {regions.map(region => (
+              <polygon
+                key={region.key}
+                points={toPoints(region.polygon)}
+                fill={region.status === 'fail' ? 'rgba(239, 68, 68, 0.25)' : 'rgba(16, 185, 129, 0.25)'}
+                stroke={region.status === 'fail' ? '#ef4444' : '#10b981'}
+                strokeWidth={region.code === selectedCode ? 3 : 1}
+                vectorEffect="non-scaling-stroke"
+              >
+                <title>{region.code}</title>
+              </polygon>
+            ))}
+          </svg>
+        </>
+      )}
+    </div>
+  );
+}
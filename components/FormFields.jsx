@@ -3,25 +3,30 @@
  * FormFields.jsx
  * --------------
  * Dynamically renders additional text-input fields that are required for
- * certain document types (currently Organisation Name + FEIN).  The set
- * of required fields is dictated by the parent component to keep the
- * logic centralised.
+ * certain document types (Organisation Name, FEIN and, for Certificates of
+ * Trade Name, the DBA).  The set of required fields is dictated by the
+ * parent component to keep the logic centralised.  Optional fields are
+ * shown without the asterisk (used while the document type is detected
+ * automatically).
  *
  * Props
  * -----
- * • requiredFields: { organizationName: boolean; fein: boolean }
- *     Determines which inputs are shown.
- * • formFields:     { organizationName: string; fein: string }
+ * • requiredFields: { organizationName: boolean; fein: boolean; dbaName: boolean }
+ *     Determines which inputs are shown (and marked required).
+ * • optionalFields: { organizationName: boolean; fein: boolean; dbaName: boolean }
+ *     Additional inputs shown without being required.
+ * • formFields:     { organizationName: string; fein: string; dbaName: string }
  *     Controlled values for the inputs.
  * • handleInputChange: (SyntheticEvent) => void
  *     Bubble-up change handler (lifts state to parent).
- * • fieldErrors:    { organizationName?: string; fein?: string }
+ * • fieldErrors:    { organizationName?: string; fein?: string; dbaName?: string }
  *     Inline validation error messages.
  * • isDarkMode: boolean – theme switcher.
  */
 
 export default function FormFields({ 
   requiredFields, 
+  optionalFields = {},
   formFields, 
   handleInputChange, 
   fieldErrors, 
@@ -29,12 +34,12 @@ export default function FormFields({
 }) {
   return (
     <div className="mb-6 space-y-6">
-      {requiredFields.organizationName && (
+      {(requiredFields.organizationName || optionalFields.organizationName) && (
         <div className="space-y-2">
           <label className={`block text-sm md:text-base font-semibold ${
             isDarkMode ? 'text-gray-200' : 'text-gray-800'
           }`}>
-            Organization Name <span className="text-red-500">*</span>
+            Organization Name {requiredFields.organizationName && <span className="text-red-500">*</span>}
           </label>
           <input
             type="text"
@@ -54,13 +59,39 @@ export default function FormFields({
           />
         </div>
       )}
+
+      {(requiredFields.dbaName || optionalFields.dbaName) && (
+        <div className="space-y-2">
+          <label className={`block text-sm md:text-base font-semibold ${
+            isDarkMode ? 'text-gray-200' : 'text-gray-800'
+          }`}>
+            DBA (Trade Name) {requiredFields.dbaName && <span className="text-red-500">*</span>}
+          </label>
+          <input
+            type="text"
+            name="dbaName"
+            value={formFields.dbaName}
+            onChange={handleInputChange}
+            className={`w-full px-4 py-2 border-2 rounded-xl focus:outline-none focus:ring-4 text-sm md:text-base backdrop-blur-sm transition-all duration-200 ${
+              fieldErrors.dbaName 
+                ? (isDarkMode
+                    ? 'border-red-300 focus:ring-red-500/20 focus:border-red-500 bg-gray-700/50 text-gray-200 placeholder-gray-400'
+                    : 'border-red-300 focus:ring-red-500/20 focus:border-red-500 bg-white/50 text-gray-700 placeholder-gray-400')
+                : isDarkMode
+                  ? 'border-gray-600 focus:ring-blue-500/20 focus:border-blue-400 hover:border-gray-500 bg-gray-700/50 text-gray-200 placeholder-gray-400'
+                  : 'border-gray-200 focus:ring-blue-500/20 focus:border-blue-500 hover:border-gray-300 bg-white/50 text-gray-700 placeholder-gray-400'
+            }`}
+            placeholder="Enter the name the business trades under"
+          />
+        </div>
+      )}
       
-      {requiredFields.fein && (
+      {(requiredFields.fein || optionalFields.fein) && (
         <div className="space-y-2">
           <label className={`block text-sm md:text-base font-semibold ${
             isDarkMode ? 'text-gray-200' : 'text-gray-800'
           }`}>
-            FEIN (Federal Employer Identification Number) <span className="text-red-500">*</span>
+            FEIN (Federal Employer Identification Number) {requiredFields.fein && <span className="text-red-500">*</span>}
           </label>
           <input
             type="text"
@@ -76,8 +107,13 @@ export default function FormFields({
                   ? 'border-gray-600 focus:ring-blue-500/20 focus:border-blue-400 hover:border-gray-500 bg-gray-700/50 text-gray-200 placeholder-gray-400'
                   : 'border-gray-200 focus:ring-blue-500/20 focus:border-blue-500 hover:border-gray-300 bg-white/50 text-gray-700 placeholder-gray-400'
             }`}
-            placeholder="Enter FEIN"
+            placeholder="XX-XXXXXXX"
           />
+          {fieldErrors.fein && (
+            <p className={`text-xs md:text-sm ${isDarkMode ? 'text-red-400' : 'text-red-600'}`}>
+              {fieldErrors.fein}
+            </p>
+          )}
         </div>
       )}
     </div>
@@ -0,0 +1,70 @@
+'use client';
+/**
+ * ProgramSelector.jsx
+ * -------------------
+ * Drop-down that lets the user pick the NJEDA program they are applying
+ * to.  The chosen program profile decides which form fields each document
+ * type requires and which rule overrides the backend applies; its packet
+ * checklist is listed below the drop-down.
+ *
+ * Props
+ * -----
+ * • program: string – currently selected program ('' for none).
+ * • setProgram: (string) => void – state setter from parent.
+ * • programs: { value: string; label: string }[] – list of options.
+ * • requiredDocumentTypes: { value: string; label: string }[] – the
+ *     selected program's checklist.
+ * • isDarkMode: boolean – theming flag for Tailwind classes.
+ */
+
+export default function ProgramSelector({
+  program,
+  setProgram,
+  programs,
+  requiredDocumentTypes,
+  isDarkMode
+}) {
+  return (
+    <div className="mb-6">
+      <label className={`block text-sm md:text-base font-semibold ${
+        isDarkMode ? 'text-gray-200' : 'text-gray-800'
+      } mb-3`}>Program</label>
+      <div className="relative">
+        <select
+          value={program}
+          onChange={(e) => {
+            setProgram(e.target.value);
+          }}
+          className={`w-full px-4 py-2 border-2 rounded-xl focus:outline-none focus:ring-4 text-sm md:text-base backdrop-blur-sm transition-all duration-200 appearance-none ${
+            isDarkMode
+              ? 'border-gray-600 text-gray-200 bg-gray-700/50 focus:ring-blue-500/20 focus:border-blue-400 hover:border-gray-500'
+              : 'border-gray-200 text-gray-700 bg-white/50 focus:ring-blue-500/20 focus:border-blue-500 hover:border-gray-300'
+          }`}
+        >
+          <option value="">No specific program</option>
+          {programs.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <div className="absolute inset-y-0 right-0 flex items-center pr-4 pointer-events-none">
+          <svg className="w-5 h-5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+          </svg>
+        </div>
+      </div>
+
+      {requiredDocumentTypes.length > 0 && (
+        <div className={`mt-3 text-xs md:text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+          <p className="font-semibold mb-1">Required documents</p>
+          <ul className="list-disc list-inside space-y-0.5">
+            {requiredDocumentTypes.map((type) => (
+              <li key={type.value}>{type.label}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
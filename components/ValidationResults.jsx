@@ -7,27 +7,47 @@
  *   1. No validation yet      → Placeholder encouraging user action
  *   2. Validation failed      → Red themed panel listing missing elements
  *   3. Validation succeeded   → Green themed panel with doc statistics
+ *   4. Needs review           → Amber header when the backend's `verdict` is
+ *                               "needs-review" (low-confidence outcome)
  *
  * Props
  * -----
  * • validationResult: {
  *     missingElements?: string[];
  *     suggestedActions?: string[];
+ *     verdict?: 'pass' | 'fail' | 'needs-review';
+ *     confidence?: number;
+ *     findings?: Array<{ code, status, description, message, evidence, confidence }>;
+ *     classification?: { selectedDocumentType, documentType, label, score, matchesSelection };
+ *     integrity?: { checked, suspicious, metadata, revisions, findings };
  *     documentInfo?: {
  *        pageCount?: number;
  *        wordCount?: number;
  *        containsHandwriting?: boolean;
+ *        issueDate?: { date, role, text } | null;
+ *        documentAgeDays?: number | null;
+ *        pageLayouts?: Array<{ pageNumber, width, height, unit, words }>;
  *     }
  *   } | null
+ * • file: File | null – the validated upload, used by the page preview
  * • isDarkMode: boolean – toggles Tailwind class variants
  *
+ * A notice names the detected document type when it was detected
+ * automatically, or warns when the content disagrees with the selected type.
+ * Another lists the signs of editing found when the uploaded PDF itself
+ * looks tampered with.
+ *
+ * Findings are rendered by `EvidencePreview`, which highlights the text
+ * behind each check on a preview of the page.
+ *
  * This component is intentionally pure / stateless, driven entirely by
  * its props which makes it deterministic and easy to unit-test.
  */
 
-import { CheckCircle, AlertCircle, FileText } from 'lucide-react';
+import { CheckCircle, AlertCircle, FileText, HelpCircle, ShieldAlert } from 'lucide-react';
+import EvidencePreview from './EvidencePreview';
 
-export default function ValidationResults({ validationResult, isDarkMode }) {
+export default function ValidationResults({ validationResult, file, isDarkMode }) {
   if (!validationResult) {
     return (
       <div className={`p-12 border-2 border-dashed rounded-2xl flex flex-col items-center justify-center h-full ${
@@ -51,9 +71,27 @@ export default function ValidationResults({ validationResult, isDarkMode }) {
     );
   }
 
+  const hasIssues = validationResult.missingElements && validationResult.missingElements.length > 0;
+  // Low-confidence OCR or borderline matches decided the outcome
+  const needsReview = validationResult.verdict === 'needs-review';
+  const confidenceLabel = typeof validationResult.confidence === 'number'
+    ? ` (confidence ${Math.round(validationResult.confidence * 100)}%)`
+    : '';
+  const classification = validationResult.classification;
+  const isAutoDetected = classification?.selectedDocumentType === 'auto' && classification.documentType;
+  const typeMismatch = classification && !classification.matchesSelection;
+  // The file itself looks edited (PDF metadata, revisions, fonts, text layer)
+  const integrityIssues = validationResult.integrity?.suspicious
+    ? validationResult.integrity.findings.filter(finding => finding.status === 'fail')
+    : [];
+
   return (
     <>
-      <div className={`flex items-center mb-8 p-6 rounded-2xl shadow-lg border-2 backdrop-blur-sm ${validationResult.missingElements && validationResult.missingElements.length > 0 
+      <div className={`flex items-center mb-8 p-6 rounded-2xl shadow-lg border-2 backdrop-blur-sm ${needsReview
+        ? isDarkMode
+          ? 'bg-gradient-to-r from-amber-900/40 via-amber-800/40 to-yellow-900/40 border-amber-700/50'
+          : 'bg-gradient-to-r from-amber-50 via-amber-100 to-yellow-50 border-amber-200/50'
+        : hasIssues
         ? isDarkMode
           ? 'bg-gradient-to-r from-red-900/40 via-red-800/40 to-pink-900/40 border-red-700/50'
           : 'bg-gradient-to-r from-red-50 via-red-100 to-pink-50 border-red-200/50'
@@ -61,7 +99,11 @@ export default function ValidationResults({ validationResult, isDarkMode }) {
           ? 'bg-gradient-to-r from-emerald-900/40 via-emerald-800/40 to-green-900/40 border-emerald-700/50'
           : 'bg-gradient-to-r from-emerald-50 via-emerald-100 to-green-50 border-emerald-200/50'
       }`}>
-        {validationResult.missingElements && validationResult.missingElements.length > 0 ? (
+        {needsReview ? (
+          <div className="flex items-center justify-center w-12 h-12 rounded-2xl bg-gradient-to-r from-amber-500 to-amber-600 shadow-xl mr-4">
+            <HelpCircle className="h-6 w-6 text-white" />
+          </div>
+        ) : hasIssues ? (
           <div className="flex items-center justify-center w-12 h-12 rounded-2xl bg-gradient-to-r from-red-500 to-red-600 shadow-xl mr-4">
             <AlertCircle className="h-6 w-6 text-white" />
           </div>
@@ -71,24 +113,63 @@ export default function ValidationResults({ validationResult, isDarkMode }) {
           </div>
         )}
         <div className="flex-1">
-          <h3 className={`font-bold text-lg md:text-xl mb-2 ${validationResult.missingElements && validationResult.missingElements.length > 0 
+          <h3 className={`font-bold text-lg md:text-xl mb-2 ${needsReview
+            ? isDarkMode ? 'text-amber-300' : 'text-amber-800'
+            : hasIssues
             ? isDarkMode ? 'text-red-300' : 'text-red-800'
             : isDarkMode ? 'text-emerald-300' : 'text-emerald-800'
           }`}>
-            {validationResult.missingElements && validationResult.missingElements.length > 0 ? 'Validation Failed' : 'Validation Passed'}
+            {needsReview ? 'Needs Human Review' : hasIssues ? 'Validation Failed' : 'Validation Passed'}
           </h3>
-          <p className={`text-sm md:text-base font-medium ${validationResult.missingElements && validationResult.missingElements.length > 0 
+          <p className={`text-sm md:text-base font-medium ${needsReview
+            ? isDarkMode ? 'text-amber-400' : 'text-amber-600'
+            : hasIssues
             ? isDarkMode ? 'text-red-400' : 'text-red-600'
             : isDarkMode ? 'text-emerald-400' : 'text-emerald-600'
           }`}>
-            {validationResult.missingElements && validationResult.missingElements.length > 0 
-              ? 'Document validation completed with issues' 
-              : 'Document validation completed successfully'
+            {needsReview
+              ? integrityIssues.length > 0
+                ? 'The file shows signs of editing and should be checked by a reviewer'
+                : `The result depends on low-confidence text or a borderline match${confidenceLabel}`
+              : hasIssues
+              ? `Document validation completed with issues${confidenceLabel}`
+              : `Document validation completed successfully${confidenceLabel}`
             }
           </p>
         </div>
       </div>
       
+      {(isAutoDetected || typeMismatch) && (
+        <div className={`mb-8 p-4 border rounded-2xl flex items-start text-sm md:text-base ${
+          typeMismatch
+            ? isDarkMode ? 'bg-amber-900/40 border-amber-700/50 text-amber-300' : 'bg-amber-50 border-amber-200 text-amber-800'
+            : isDarkMode ? 'bg-blue-900/40 border-blue-700/50 text-blue-300' : 'bg-blue-50 border-blue-200 text-blue-800'
+        }`}>
+          <HelpCircle className="h-5 w-5 mr-3 mt-0.5 flex-shrink-0" />
+          <p>
+            {typeMismatch
+              ? `This document looks like a ${classification.label} (match ${Math.round(classification.score * 100)}%). Check the selected document type.`
+              : `Detected document type: ${classification.label} (match ${Math.round(classification.score * 100)}%)`}
+          </p>
+        </div>
+      )}
+
+      {integrityIssues.length > 0 && (
+        <div className={`mb-8 p-4 border rounded-2xl flex items-start text-sm md:text-base ${
+          isDarkMode ? 'bg-amber-900/40 border-amber-700/50 text-amber-300' : 'bg-amber-50 border-amber-200 text-amber-800'
+        }`}>
+          <ShieldAlert className="h-5 w-5 mr-3 mt-0.5 flex-shrink-0" />
+          <div>
+            <p className="font-semibold mb-1">This file may have been edited</p>
+            <ul className="list-disc list-inside space-y-0.5">
+              {integrityIssues.map((finding) => (
+                <li key={finding.code}>{finding.message}</li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+
       {validationResult.missingElements && validationResult.missingElements.length > 0 && (
         <div className={`mb-8 p-6 border rounded-2xl shadow-lg backdrop-blur-sm ${
           isDarkMode
@@ -156,6 +237,16 @@ export default function ValidationResults({ validationResult, isDarkMode }) {
                   <span className="font-medium">Words: <span className="font-bold">{validationResult.documentInfo.wordCount}</span></span>
                 </div>
               )}
+              {validationResult.documentInfo.issueDate && (
+                <div className={`flex items-center text-xs md:text-sm px-3 py-2 ${
+                  isDarkMode
+                    ? 'text-emerald-300'
+                    : 'text-emerald-700'
+                }`}>
+                  <div className="w-2 h-2 rounded-full bg-emerald-500 mr-3 shadow-sm"></div>
+                  <span className="font-medium">Issued: <span className="font-bold">{validationResult.documentInfo.issueDate.date}</span> ({validationResult.documentInfo.documentAgeDays} days old)</span>
+                </div>
+              )}
               {validationResult.documentInfo.containsHandwriting !== undefined && (
                 <div className={`flex items-center text-xs md:text-sm px-3 py-2 ${
                   isDarkMode
@@ -171,6 +262,16 @@ export default function ValidationResults({ validationResult, isDarkMode }) {
         </div>
       )}
       
+      {validationResult.findings && validationResult.findings.length > 0 && (
+        <EvidencePreview
+          findings={validationResult.findings}
+          reviewThreshold={validationResult.reviewThreshold}
+          pageLayouts={validationResult.documentInfo?.pageLayouts || []}
+          file={file}
+          isDarkMode={isDarkMode}
+        />
+      )}
+      
       {validationResult.suggestedActions && validationResult.suggestedActions.length > 0 && (
         <div className={`p-6 border rounded-2xl shadow-lg backdrop-blur-sm ${
           isDarkMode